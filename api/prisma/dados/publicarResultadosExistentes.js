@@ -0,0 +1,27 @@
+import { PrismaClient } from '@prisma/client';
+
+// Migração de dados do fluxo de publicação de resultados.
+// Antes do fluxo, todo resultado era visível ao paciente e `publicadoEm` era obrigatório
+// (preenchido na criação); ao tornar a coluna opcional com `status` padrão `RASCUNHO`,
+// esses resultados ficariam ocultos. Rascunhos do fluxo atual nunca têm `publicadoEm`,
+// então o filtro alcança apenas os resultados antigos e o script pode ser executado de novo.
+const prisma = new PrismaClient();
+
+try {
+    // notificadoEm preenchido evita que o agendador reenvie o aviso de resultados antigos
+    const total = await prisma.$executeRaw`
+        UPDATE "ResultadoExame"
+        SET status = 'PUBLICADO',
+            "publicadoEm" = "criadoEm",
+            "notificadoEm" = "criadoEm"
+        WHERE status = 'RASCUNHO'
+          AND "publicadoEm" IS NOT NULL
+          AND "retificaId" IS NULL
+    `;
+    console.log(`✅ Resultados publicados: ${total}`);
+} catch (error) {
+    console.error('❌ Erro ao publicar resultados existentes:', error);
+    process.exitCode = 1;
+} finally {
+    await prisma.$disconnect();
+}
@@ -0,0 +1,20 @@
+// Regras de agendamento parametrizáveis por variáveis de ambiente
+
+const lista = (valor, padrao) => (valor ? valor.split(',').map((item) => item.trim()) : padrao);
+
+// Antecedência mínima (em horas) para o paciente cancelar o próprio agendamento
+export const CANCELAMENTO_ANTECEDENCIA_HORAS = Number(process.env.CANCELAMENTO_ANTECEDENCIA_HORAS ?? 24);
+
+// Perfis que podem cancelar mesmo depois do prazo de antecedência
+export const CANCELAMENTO_PERFIS_SEM_PRAZO = lista(
+    process.env.CANCELAMENTO_PERFIS_SEM_PRAZO,
+    ['ATENDENTE', 'MEDICO', 'ADMIN']
+);
+
+// Antecedências (em horas) dos lembretes enviados ao paciente
+export const LEMBRETES_ANTECEDENCIAS_HORAS = lista(process.env.LEMBRETES_ANTECEDENCIAS_HORAS, ['24', '2'])
+    .map(Number)
+    .filter((horas) => horas > 0);
+
+// Intervalo entre execuções do job de lembretes
+export const LEMBRETES_INTERVALO_SEGUNDOS = Number(process.env.LEMBRETES_INTERVALO_SEGUNDOS ?? 60);
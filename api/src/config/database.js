@@ -1,14 +1,18 @@
 import { PrismaClient } from '@prisma/client';
+import { extensaoAuditoria } from '../services/auditoriaService.js';
 
-const prisma = new PrismaClient({
+const base = new PrismaClient({
     log: process.env.NODE_ENV === 'development'
         ? ['query', 'info', 'warn', 'error']
         : ['error'],
     errorFormat: 'pretty',
 });
 
+// Escritas feitas durante as requisições são registradas na trilha de auditoria
+const prisma = base.$extends(extensaoAuditoria(base));
+
 // Tratamento de erros de conexão
-prisma.$connect()
+base.$connect()
     .then(() => {
         if (process.env.NODE_ENV === 'development') {
             console.log('✅ Conectado ao banco de dados');
@@ -21,7 +25,7 @@ prisma.$connect()
 
 // Graceful shutdown
 process.on('beforeExit', async () => {
-    await prisma.$disconnect();
+    await base.$disconnect();
 });
 
 export default prisma;
@@ -24,6 +24,65 @@ const options = {
                     scheme: 'bearer',
                     bearerFormat: 'JWT'
                 }
+            },
+            // Parâmetros comuns das listagens paginadas
+            parameters: {
+                Page: {
+                    in: 'query',
+                    name: 'page',
+                    schema: { type: 'integer', minimum: 1, default: 1 }
+                },
+                Limit: {
+                    in: 'query',
+                    name: 'limit',
+                    schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+                },
+                Order: {
+                    in: 'query',
+                    name: 'order',
+                    schema: { type: 'string', enum: ['asc', 'desc'] }
+                }
+            },
+            schemas: {
+                // Analito enviado no laudo (valor numérico ou valorTexto qualitativo)
+                ValorAnalito: {
+                    type: 'object',
+                    required: ['codigo'],
+                    properties: {
+                        codigo: { type: 'string', example: 'HGB' },
+                        nome: { type: 'string', description: 'Obrigatório se o exame não estiver no catálogo' },
+                        valor: { type: 'number', example: 13.5 },
+                        valorTexto: { type: 'string', example: 'Negativo' },
+                        unidade: { type: 'string', example: 'g/dL' },
+                        referenciaMin: { type: 'number' },
+                        referenciaMax: { type: 'number' },
+                        alterado: { type: 'boolean', description: 'Marca um valor qualitativo como anormal' }
+                    }
+                },
+                // Cadastro do paciente (PUT substitui o perfil inteiro)
+                PerfilPaciente: {
+                    type: 'object',
+                    required: ['cpf'],
+                    properties: {
+                        cpf: { type: 'string', example: '529.982.247-25' },
+                        dataNascimento: { type: 'string', format: 'date' },
+                        telefone: { type: 'string', example: '(11) 98765-4321' },
+                        cep: { type: 'string', example: '01310-100' },
+                        logradouro: { type: 'string' },
+                        numero: { type: 'string' },
+                        complemento: { type: 'string' },
+                        bairro: { type: 'string' },
+                        cidade: { type: 'string' },
+                        uf: { type: 'string', example: 'SP' },
+                        contatoEmergenciaNome: { type: 'string' },
+                        contatoEmergenciaTelefone: { type: 'string' },
+                        contatoEmergenciaParentesco: { type: 'string', example: 'Mãe' },
+                        convenioNome: { type: 'string', description: 'Ausente: particular' },
+                        convenioCarteirinha: { type: 'string' },
+                        convenioValidade: { type: 'string', format: 'date' },
+                        alergias: { type: 'array', items: { type: 'string' }, example: ['Dipirona'] }
+                    }
+                }
             }
         },
         tags: [
@@ -50,6 +109,46 @@ const options = {
             {
                 name: 'Push Tokens',
                 description: 'Tokens de notificações push'
+            },
+            {
+                name: 'Médicos',
+                description: 'Perfis públicos, agenda e horários livres dos médicos'
+            },
+            {
+                name: 'Relatórios',
+                description: 'Indicadores do dashboard administrativo'
+            },
+            {
+                name: 'Lembretes',
+                description: 'Lembretes automáticos de agendamentos'
+            },
+            {
+                name: 'Notificações',
+                description: 'Caixa de notificações in-app'
+            },
+            {
+                name: 'Compartilhamento',
+                description: 'Links temporários de resultados para terceiros'
+            },
+            {
+                name: 'Tipos de Exame',
+                description: 'Catálogo de tipos de exame e analitos esperados'
+            },
+            {
+                name: 'Pacientes',
+                description: 'Cadastro e dados clínicos consolidados do paciente'
+            },
+            {
+                name: 'Especialidades',
+                description: 'Especialidades médicas usadas no filtro de agendamento'
+            },
+            {
+                name: 'Minha Conta',
+                description: 'Dados do usuário logado'
+            },
+            {
+                name: 'Auditoria',
+                description: 'Trilha de alterações em cadastros e dados clínicos (admin)'
             }
         ]
     },
@@ -0,0 +1,97 @@
+import prisma from '../config/database.js';
+import { paginar, ordenar, filtroPeriodo, metaPaginacao } from '../utils/listagem.js';
+
+/**
+ * @swagger
+ * /auditoria:
+ *   get:
+ *     summary: Consulta a trilha de auditoria (admin)
+ *     description: |
+ *       Cada registro corresponde a um cadastro alterado por uma requisição de escrita, com o autor,
+ *       a rota, o IP, o user agent e o diff dos campos ({ campo: { antes, depois } }).
+ *       Hashes de senha, PIN e token aparecem como "[oculto]".
+ *     tags: [Auditoria]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entidade
+ *         schema:
+ *           type: string
+ *           example: Consulta
+ *       - in: query
+ *         name: entidadeId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: atorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: acao
+ *         schema:
+ *           type: string
+ *           enum: [CRIACAO, ATUALIZACAO, REMOCAO]
+ *       - in: query
+ *         name: de
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: ate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Order'
+ *     responses:
+ *       200:
+ *         description: Registros de auditoria (mais recentes primeiro por padrão) com o nome e email do autor
+ */
+export const listAuditoria = async (req, res) => {
+    try {
+        const { entidade, entidadeId, atorId, acao, de, ate } = req.query;
+
+        const whereClause = {
+            entidade,
+            entidadeId,
+            atorId,
+            acao,
+            criadoEm: filtroPeriodo({ de, ate })
+        };
+
+        const [registros, total] = await prisma.$transaction([
+            prisma.registroAuditoria.findMany({
+                where: whereClause,
+                orderBy: ordenar(req.query),
+                ...paginar(req.query)
+            }),
+            prisma.registroAuditoria.count({ where: whereClause })
+        ]);
+
+        // Sem FK no log: os autores são buscados à parte
+        const atorIds = [...new Set(registros.map((registro) => registro.atorId).filter(Boolean))];
+        const atores = await prisma.usuario.findMany({
+            where: { id: { in: atorIds } },
+            select: { id: true, nome: true, email: true }
+        });
+        const atoresPorId = new Map(atores.map((ator) => [ator.id, ator]));
+
+        return res.json({
+            registros: registros.map((registro) => ({
+                ...registro,
+                ator: atoresPorId.get(registro.atorId) ?? null
+            })),
+            paginacao: metaPaginacao(res, 'auditoria', req.query, total, registros.length)
+        });
+    } catch (error) {
+        console.error('Erro ao consultar auditoria:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao consultar auditoria'
+            }
+        });
+    }
+};
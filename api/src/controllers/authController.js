@@ -1,6 +1,13 @@
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import prisma from '../config/database.js';
+import { hashToken } from '../utils/tokens.js';
+import { enviarLinkRecuperacao } from '../services/senhaService.js';
+import {
+    iniciarSessao,
+    rotacionarRefreshToken,
+    encerrarSessao,
+    revogarSessoesDoUsuario
+} from '../services/sessaoService.js';
 
 /**
  * @swagger
@@ -35,25 +42,6 @@ export const register = async (req, res) => {
     try {
         const { nome, email, senha } = req.body;
 
-        // Validação básica
-        if (!nome || !email || !senha) {
-            return res.status(400).json({
-                error: {
-                    code: 'VALIDATION_ERROR',
-                    message: 'Nome, email e senha são obrigatórios'
-                }
-            });
-        }
-
-        if (senha.length < 8) {
-            return res.status(400).json({
-                error: {
-                    code: 'VALIDATION_ERROR',
-                    message: 'A senha deve ter no mínimo 8 caracteres'
-                }
-            });
-        }
-
         // Verifica se o email já existe
         const existingUser = await prisma.usuario.findUnique({
             where: { email }
@@ -123,6 +111,9 @@ export const register = async (req, res) => {
  *                 type: string
  *               senha:
  *                 type: string
+ *               dispositivo:
+ *                 type: string
+ *                 description: Nome do dispositivo (identifica a sessão)
  *     responses:
  *       200:
  *         description: Login realizado com sucesso
@@ -131,17 +122,7 @@ export const register = async (req, res) => {
  */
 export const login = async (req, res) => {
     try {
-        const { email, senha } = req.body;
-
-        // Validação básica
-        if (!email || !senha) {
-            return res.status(400).json({
-                error: {
-                    code: 'VALIDATION_ERROR',
-                    message: 'Email e senha são obrigatórios'
-                }
-            });
-        }
+        const { email, senha, dispositivo } = req.body;
 
         // Busca o usuário
         const usuario = await prisma.usuario.findUnique({
@@ -167,6 +148,16 @@ export const login = async (req, res) => {
             });
         }
 
+        // Cadastro feito na recepção: a senha é criada pelo link de ativação
+        if (!usuario.senhaHash) {
+            return res.status(401).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Conta ainda não ativada; use o link enviado por e-mail ou "esqueci minha senha"'
+                }
+            });
+        }
+
         // Verifica a senha
         const senhaValida = await bcrypt.compare(senha, usuario.senhaHash);
 
@@ -179,19 +170,12 @@ export const login = async (req, res) => {
             });
         }
 
-        // Gera o access token
-        const accessToken = jwt.sign(
-            { id: usuario.id, perfil: usuario.perfil },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
-        );
-
-        // Gera o refresh token (opcional)
-        const refreshToken = jwt.sign(
-            { id: usuario.id },
-            process.env.REFRESH_JWT_SECRET || process.env.JWT_SECRET,
-            { expiresIn: process.env.REFRESH_JWT_EXPIRES_IN || '7d' }
-        );
+        // Gera o access token e inicia a sessão (refresh token persistido por dispositivo)
+        const { accessToken, refreshToken } = await iniciarSessao(usuario, {
+            dispositivo: dispositivo || null,
+            ip: req.ip,
+            userAgent: req.get('user-agent') || null
+        });
 
         return res.json({
             message: 'Login realizado com sucesso',
@@ -219,7 +203,7 @@ export const login = async (req, res) => {
  * @swagger
  * /auth/refresh:
  *   post:
- *     summary: Renova o access token
+ *     summary: Renova o access token (rotaciona o refresh token)
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -236,68 +220,250 @@ export const login = async (req, res) => {
  *       200:
  *         description: Token renovado com sucesso
  *       401:
- *         description: Token inválido
+ *         description: Token inválido, expirado ou reutilizado (AUTH_TOKEN_REUSED revoga a sessão)
  */
 export const refresh = async (req, res) => {
     try {
         const { refreshToken } = req.body;
 
-        if (!refreshToken) {
+        // Rotaciona o refresh token (o anterior deixa de valer)
+        const resultado = await rotacionarRefreshToken(refreshToken, {
+            ip: req.ip,
+            userAgent: req.get('user-agent') || null
+        });
+
+        if (resultado.error) {
+            return res.status(401).json({ error: resultado.error });
+        }
+
+        return res.json({
+            message: 'Token renovado com sucesso',
+            accessToken: resultado.accessToken,
+            refreshToken: resultado.refreshToken
+        });
+    } catch (error) {
+        console.error('Erro ao renovar token:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao renovar token'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /auth/esqueci-senha:
+ *   post:
+ *     summary: Solicita um link de redefinição de senha por e-mail
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Solicitação recebida (a resposta não revela se o e-mail existe)
+ */
+export const esqueciSenha = async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        const resposta = {
+            message: 'Se o email estiver cadastrado, você receberá as instruções para redefinir a senha'
+        };
+
+        const usuario = await prisma.usuario.findUnique({
+            where: { email }
+        });
+
+        if (!usuario || !usuario.ativo) {
+            return res.json(resposta);
+        }
+
+        await enviarLinkRecuperacao(usuario);
+
+        return res.json(resposta);
+    } catch (error) {
+        console.error('Erro ao solicitar recuperação de senha:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao solicitar recuperação de senha'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /auth/redefinir-senha:
+ *   post:
+ *     summary: Redefine a senha a partir do token recebido por e-mail
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - senha
+ *             properties:
+ *               token:
+ *                 type: string
+ *               senha:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Senha redefinida com sucesso
+ *       400:
+ *         description: Token inválido, expirado ou já utilizado
+ */
+export const redefinirSenha = async (req, res) => {
+    try {
+        const { token, senha } = req.body;
+
+        const tokenRecuperacao = await prisma.tokenRecuperacaoSenha.findUnique({
+            where: { tokenHash: hashToken(token) },
+            include: { usuario: true }
+        });
+
+        if (
+            !tokenRecuperacao ||
+            tokenRecuperacao.usadoEm ||
+            tokenRecuperacao.expiraEm < new Date() ||
+            !tokenRecuperacao.usuario.ativo
+        ) {
             return res.status(400).json({
                 error: {
-                    code: 'VALIDATION_ERROR',
-                    message: 'Refresh token é obrigatório'
+                    code: 'AUTH_INVALID_TOKEN',
+                    message: 'Token inválido ou expirado'
                 }
             });
         }
 
-        // Verifica o refresh token
-        jwt.verify(
-            refreshToken,
-            process.env.REFRESH_JWT_SECRET || process.env.JWT_SECRET,
-            async (err, decoded) => {
-                if (err) {
-                    return res.status(401).json({
-                        error: {
-                            code: 'AUTH_INVALID_TOKEN',
-                            message: 'Refresh token inválido ou expirado'
-                        }
-                    });
-                }
+        const senhaHash = await bcrypt.hash(senha, 10);
+        const agora = new Date();
+
+        // Consome o token (condicionado a não usado) e invalida as sessões existentes
+        const consumido = await prisma.$transaction(async (tx) => {
+            const { count } = await tx.tokenRecuperacaoSenha.updateMany({
+                where: { id: tokenRecuperacao.id, usadoEm: null },
+                data: { usadoEm: agora }
+            });
 
-                // Busca o usuário
-                const usuario = await prisma.usuario.findUnique({
-                    where: { id: decoded.id }
-                });
-
-                if (!usuario || !usuario.ativo) {
-                    return res.status(401).json({
-                        error: {
-                            code: 'AUTH_FORBIDDEN',
-                            message: 'Usuário não encontrado ou inativo'
-                        }
-                    });
+            if (count === 0) return false;
+
+            await tx.usuario.update({
+                where: { id: tokenRecuperacao.usuarioId },
+                data: { senhaHash }
+            });
+
+            await revogarSessoesDoUsuario(tokenRecuperacao.usuarioId, tx);
+
+            return true;
+        });
+
+        if (!consumido) {
+            return res.status(400).json({
+                error: {
+                    code: 'AUTH_INVALID_TOKEN',
+                    message: 'Token inválido ou expirado'
                 }
+            });
+        }
+
+        return res.json({
+            message: 'Senha redefinida com sucesso'
+        });
+    } catch (error) {
+        console.error('Erro ao redefinir senha:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao redefinir senha'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Encerra a sessão do dispositivo (revoga o refresh token e sua família)
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logout realizado com sucesso
+ */
+export const logout = async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
 
-                // Gera novo access token
-                const accessToken = jwt.sign(
-                    { id: usuario.id, perfil: usuario.perfil },
-                    process.env.JWT_SECRET,
-                    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
-                );
-
-                return res.json({
-                    message: 'Token renovado com sucesso',
-                    accessToken
-                });
+        await encerrarSessao(refreshToken);
+
+        return res.json({
+            message: 'Logout realizado com sucesso'
+        });
+    } catch (error) {
+        console.error('Erro ao fazer logout:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao fazer logout'
             }
-        );
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     summary: Encerra todas as sessões do usuário autenticado
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Todas as sessões foram encerradas
+ */
+export const logoutAll = async (req, res) => {
+    try {
+        const { count } = await revogarSessoesDoUsuario(req.userId);
+
+        return res.json({
+            message: 'Todas as sessões foram encerradas',
+            sessoesEncerradas: count
+        });
     } catch (error) {
-        console.error('Erro ao renovar token:', error);
+        console.error('Erro ao encerrar sessões:', error);
         return res.status(500).json({
             error: {
                 code: 'INTERNAL_SERVER_ERROR',
-                message: 'Erro ao renovar token'
+                message: 'Erro ao encerrar sessões'
             }
         });
     }
@@ -0,0 +1,423 @@
+import prisma from '../config/database.js';
+import {
+    criarCompartilhamento,
+    autorizarAcesso,
+    formatarCompartilhamento
+} from '../services/compartilhamentoService.js';
+import { estaLiberado } from '../services/resultadoService.js';
+import { incluirValores } from '../services/analitoService.js';
+import { transmitirArquivo } from '../utils/arquivos.js';
+
+// Paciente dono do resultado, médico responsável ou admin
+const podeCompartilhar = (req, resultado) => {
+    return req.userPerfil === 'ADMIN' ||
+        (req.userPerfil === 'PACIENTE' && resultado.pacienteId === req.userId) ||
+        (req.userPerfil === 'MEDICO' && resultado.medicoId === req.userId);
+};
+
+// O PIN vem no cabeçalho X-Share-Pin: na URL ficaria em logs de acesso, histórico e Referer
+const contextoAcesso = (req) => ({
+    pin: req.get('x-share-pin') || undefined,
+    ip: req.ip,
+    userAgent: req.get('user-agent') || null
+});
+
+/**
+ * @swagger
+ * /resultados/{id}/compartilhar:
+ *   post:
+ *     summary: Cria um link temporário (opcionalmente com PIN) para compartilhar o resultado
+ *     tags: [Compartilhamento]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               validadeHoras:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 720
+ *                 description: Padrão COMPARTILHAMENTO_VALIDADE_HORAS (72)
+ *               pin:
+ *                 type: string
+ *                 description: 4 a 8 dígitos, exigidos ao abrir o link
+ *               destinatario:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Link criado (o link só é exibido nesta resposta)
+ *       409:
+ *         description: Resultado ainda não liberado (INVALID_STATUS_TRANSITION)
+ */
+export const createCompartilhamento = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { validadeHoras, pin, destinatario } = req.body;
+
+        const resultado = await prisma.resultadoExame.findUnique({
+            where: { id }
+        });
+
+        if (!resultado) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Resultado não encontrado'
+                }
+            });
+        }
+
+        if (!podeCompartilhar(req, resultado)) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Você não tem permissão para compartilhar este resultado'
+                }
+            });
+        }
+
+        // Rascunhos e liberações agendadas não podem sair da clínica por link
+        if (!estaLiberado(resultado)) {
+            return res.status(409).json({
+                error: {
+                    code: 'INVALID_STATUS_TRANSITION',
+                    message: 'Apenas resultados publicados podem ser compartilhados',
+                    details: { statusAtual: resultado.status }
+                }
+            });
+        }
+
+        const { compartilhamento, link } = await criarCompartilhamento({
+            resultadoId: id,
+            usuarioId: req.userId,
+            validadeHoras,
+            pin,
+            destinatario
+        });
+
+        return res.status(201).json({
+            message: 'Link de compartilhamento criado com sucesso',
+            link,
+            compartilhamento
+        });
+    } catch (error) {
+        console.error('Erro ao compartilhar resultado:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao compartilhar resultado'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /resultados/{id}/compartilhamentos:
+ *   get:
+ *     summary: Lista os links de compartilhamento do resultado e seus acessos
+ *     tags: [Compartilhamento]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Compartilhamentos com o registro de acessos
+ */
+export const listCompartilhamentos = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const resultado = await prisma.resultadoExame.findUnique({
+            where: { id }
+        });
+
+        if (!resultado) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Resultado não encontrado'
+                }
+            });
+        }
+
+        if (!podeCompartilhar(req, resultado)) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Você não tem permissão para acessar este resultado'
+                }
+            });
+        }
+
+        const compartilhamentos = await prisma.compartilhamentoResultado.findMany({
+            where: { resultadoId: id },
+            include: {
+                criadoPor: {
+                    select: {
+                        id: true,
+                        nome: true
+                    }
+                },
+                acessos: {
+                    select: {
+                        id: true,
+                        arquivoId: true,
+                        sucesso: true,
+                        ip: true,
+                        userAgent: true,
+                        criadoEm: true
+                    },
+                    orderBy: { criadoEm: 'desc' },
+                    take: 100
+                }
+            },
+            orderBy: { criadoEm: 'desc' }
+        });
+
+        return res.json({
+            compartilhamentos: compartilhamentos.map((compartilhamento) => formatarCompartilhamento(compartilhamento))
+        });
+    } catch (error) {
+        console.error('Erro ao listar compartilhamentos:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao listar compartilhamentos'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /resultados/{id}/compartilhamentos/{compartilhamentoId}:
+ *   delete:
+ *     summary: Revoga um link de compartilhamento
+ *     tags: [Compartilhamento]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: compartilhamentoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Link revogado com sucesso
+ */
+export const revogarCompartilhamento = async (req, res) => {
+    try {
+        const { id, compartilhamentoId } = req.params;
+
+        const compartilhamento = await prisma.compartilhamentoResultado.findFirst({
+            where: { id: compartilhamentoId, resultadoId: id },
+            include: { resultado: true }
+        });
+
+        if (!compartilhamento) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Compartilhamento não encontrado'
+                }
+            });
+        }
+
+        if (!podeCompartilhar(req, compartilhamento.resultado)) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Você não tem permissão para revogar este compartilhamento'
+                }
+            });
+        }
+
+        const revogado = await prisma.compartilhamentoResultado.update({
+            where: { id: compartilhamentoId },
+            data: { revogadoEm: compartilhamento.revogadoEm ?? new Date() }
+        });
+
+        return res.json({
+            message: 'Link de compartilhamento revogado com sucesso',
+            compartilhamento: formatarCompartilhamento(revogado)
+        });
+    } catch (error) {
+        console.error('Erro ao revogar compartilhamento:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao revogar compartilhamento'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /compartilhado/{token}:
+ *   get:
+ *     summary: Exibe um resultado compartilhado (público, sem autenticação)
+ *     tags: [Compartilhamento]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-Share-Pin
+ *         description: PIN do link, se houver
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Resultado e lista de anexos
+ *       401:
+ *         description: PIN ausente ou inválido (SHARE_PIN_REQUIRED, SHARE_PIN_INVALID)
+ *       410:
+ *         description: Link expirado ou revogado (SHARE_LINK_EXPIRED)
+ */
+export const getCompartilhado = async (req, res) => {
+    try {
+        const { token } = req.params;
+
+        const acesso = await autorizarAcesso(token, contextoAcesso(req));
+
+        if (acesso.error) {
+            return res.status(acesso.status).json({ error: acesso.error });
+        }
+
+        const resultado = await prisma.resultadoExame.findUnique({
+            where: { id: acesso.compartilhamento.resultadoId },
+            select: {
+                id: true,
+                detalhes: true,
+                status: true,
+                versao: true,
+                publicadoEm: true,
+                exame: {
+                    select: {
+                        nome: true,
+                        dia: true,
+                        hora: true
+                    }
+                },
+                paciente: {
+                    select: {
+                        nome: true
+                    }
+                },
+                medico: {
+                    select: {
+                        nome: true
+                    }
+                },
+                arquivos: {
+                    select: {
+                        id: true,
+                        nomeOriginal: true,
+                        mimeType: true,
+                        tamanho: true
+                    },
+                    orderBy: { criadoEm: 'asc' }
+                },
+                valores: incluirValores
+            }
+        });
+
+        res.set('Cache-Control', 'private, no-store');
+
+        return res.json({
+            resultado,
+            expiraEm: acesso.compartilhamento.expiraEm
+        });
+    } catch (error) {
+        console.error('Erro ao abrir resultado compartilhado:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao abrir resultado compartilhado'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /compartilhado/{token}/arquivos/{arquivoId}:
+ *   get:
+ *     summary: Baixa um anexo de um resultado compartilhado (público, sem autenticação)
+ *     tags: [Compartilhamento]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: arquivoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-Share-Pin
+ *         description: PIN do link, se houver
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conteúdo do arquivo
+ */
+export const downloadArquivoCompartilhado = async (req, res) => {
+    try {
+        const { token, arquivoId } = req.params;
+
+        const acesso = await autorizarAcesso(token, { ...contextoAcesso(req), arquivoId });
+
+        if (acesso.error) {
+            return res.status(acesso.status).json({ error: acesso.error });
+        }
+
+        const arquivo = await prisma.arquivoResultado.findFirst({
+            where: { id: arquivoId, resultadoId: acesso.compartilhamento.resultadoId }
+        });
+
+        if (!arquivo || !(await transmitirArquivo(res, arquivo))) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Arquivo não encontrado'
+                }
+            });
+        }
+    } catch (error) {
+        console.error('Erro ao baixar arquivo compartilhado:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao baixar arquivo compartilhado'
+            }
+        });
+    }
+};
@@ -1,4 +1,13 @@
 import prisma from '../config/database.js';
+import { montarDataHora, parseDia, buscarSlotPublicado } from '../services/agendaService.js';
+import { reservarHorario, erroConflito } from '../services/conflitoService.js';
+import { remarcarAgendamento, listarHistorico } from '../services/remarcacaoService.js';
+import { duracaoConsulta } from '../services/perfilMedicoService.js';
+import { validarTransicao, erroTransicao, atualizarSeStatusMantido, erroStatusAlterado } from '../services/statusService.js';
+import { dadosCancelamento } from '../services/cancelamentoService.js';
+import { notificarAgendamento } from '../services/notificacaoService.js';
+import { registrarAcessoProntuario } from '../services/acessoProntuarioService.js';
+import { paginar, ordenar, filtroPeriodo, metaPaginacao } from '../utils/listagem.js';
 
 /**
  * @swagger
@@ -41,16 +50,6 @@ export const createConsulta = async (req, res) => {
         const userPerfil = req.userPerfil;
         const userId = req.userId;
 
-        // Validação básica
-        if (!pacienteId || !medicoId || !dia || !hora) {
-            return res.status(400).json({
-                error: {
-                    code: 'VALIDATION_ERROR',
-                    message: 'Paciente, médico, dia e hora são obrigatórios'
-                }
-            });
-        }
-
         // Verifica permissões
         if (userPerfil === 'PACIENTE' && pacienteId !== userId) {
             return res.status(403).json({
@@ -90,35 +89,37 @@ export const createConsulta = async (req, res) => {
         }
 
         // Cria dataHora combinando dia e hora
-        const [horas, minutos] = hora.split(':');
-        const dataHora = new Date(dia);
-        dataHora.setHours(parseInt(horas), parseInt(minutos), 0, 0);
+        const dataHora = montarDataHora(dia, hora);
 
-        // Verifica se já existe consulta no mesmo horário para o médico
-        const consultaExistente = await prisma.consulta.findFirst({
-            where: {
-                medicoId,
-                dataHora
-            }
-        });
+        // Verifica se o horário faz parte da agenda publicada do médico
+        const slot = await buscarSlotPublicado(medicoId, dataHora);
 
-        if (consultaExistente) {
+        if (!slot) {
             return res.status(409).json({
                 error: {
                     code: 'SLOT_UNAVAILABLE',
-                    message: 'Horário indisponível para este médico'
+                    message: 'Horário fora da disponibilidade do médico'
                 }
             });
         }
 
-        // Cria a consulta
-        const consulta = await prisma.consulta.create({
+        // A duração definida no perfil do médico prevalece sobre a do slot
+        const duracaoMinutos = await duracaoConsulta(medicoId, slot);
+
+        // Verifica conflitos (médico e paciente, consultas e exames) e cria a consulta
+        const { conflito, registro: consulta } = await reservarHorario({
+            medicoId,
+            pacienteId,
+            dataHora,
+            duracaoMinutos
+        }, (tx) => tx.consulta.create({
             data: {
                 pacienteId,
                 medicoId,
-                dia: new Date(dia),
+                dia: parseDia(dia),
                 hora,
                 dataHora,
+                duracaoMinutos,
                 detalhes
             },
             include: {
@@ -137,7 +138,13 @@ export const createConsulta = async (req, res) => {
                     }
                 }
             }
-        });
+        }));
+
+        if (conflito) {
+            return res.status(409).json({ error: erroConflito(conflito) });
+        }
+
+        notificarAgendamento('CRIADO', 'CONSULTA', consulta);
 
         return res.status(201).json({
             message: 'Consulta agendada com sucesso',
@@ -158,20 +165,59 @@ export const createConsulta = async (req, res) => {
  * @swagger
  * /consultas:
  *   get:
- *     summary: Lista consultas
+ *     summary: Lista consultas (paginado, com filtros)
  *     tags: [Consultas]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [AGENDADA, REALIZADA, CANCELADA, NAO_COMPARECEU]
+ *       - in: query
+ *         name: medicoId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: pacienteId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: de
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: ate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - in: query
+ *         name: orderBy
+ *         schema:
+ *           type: string
+ *           enum: [dataHora, criadoEm, status]
+ *           default: dataHora
+ *       - $ref: '#/components/parameters/Order'
  *     responses:
  *       200:
- *         description: Lista de consultas
+ *         description: Lista paginada de consultas (total no cabeçalho Content-Range)
  */
 export const listConsultas = async (req, res) => {
     try {
         const userPerfil = req.userPerfil;
         const userId = req.userId;
+        const { status, medicoId, pacienteId, de, ate } = req.query;
 
-        let whereClause = {};
+        let whereClause = {
+            status,
+            medicoId,
+            pacienteId,
+            dataHora: filtroPeriodo({ de, ate })
+        };
 
         // Filtro por perfil
         if (userPerfil === 'PACIENTE') {
@@ -181,30 +227,35 @@ export const listConsultas = async (req, res) => {
         }
         // Admin e Atendente veem todas
 
-        const consultas = await prisma.consulta.findMany({
-            where: whereClause,
-            include: {
-                paciente: {
-                    select: {
-                        id: true,
-                        nome: true,
-                        email: true
+        const [consultas, total] = await prisma.$transaction([
+            prisma.consulta.findMany({
+                where: whereClause,
+                include: {
+                    paciente: {
+                        select: {
+                            id: true,
+                            nome: true,
+                            email: true
+                        }
+                    },
+                    medico: {
+                        select: {
+                            id: true,
+                            nome: true,
+                            email: true
+                        }
                     }
                 },
-                medico: {
-                    select: {
-                        id: true,
-                        nome: true,
-                        email: true
-                    }
-                }
-            },
-            orderBy: {
-                dataHora: 'asc'
-            }
-        });
+                orderBy: ordenar(req.query),
+                ...paginar(req.query)
+            }),
+            prisma.consulta.count({ where: whereClause })
+        ]);
 
-        return res.json({ consultas });
+        return res.json({
+            consultas,
+            paginacao: metaPaginacao(res, 'consultas', req.query, total, consultas.length)
+        });
     } catch (error) {
         console.error('Erro ao listar consultas:', error);
         return res.status(500).json({
@@ -288,6 +339,8 @@ export const getConsulta = async (req, res) => {
             });
         }
 
+        await registrarAcessoProntuario(req, { pacienteId: consulta.pacienteId, recurso: 'Consulta', recursoId: consulta.id });
+
         return res.json({ consulta });
     } catch (error) {
         console.error('Erro ao buscar consulta:', error);
@@ -326,14 +379,22 @@ export const getConsulta = async (req, res) => {
  *                 enum: [AGENDADA, REALIZADA, CANCELADA, NAO_COMPARECEU]
  *               detalhes:
  *                 type: string
+ *               motivo:
+ *                 type: string
+ *                 description: Obrigatório quando status = CANCELADA
+ *                 enum: [IMPEDIMENTO_PACIENTE, IMPEDIMENTO_MEDICO, ERRO_AGENDAMENTO, SEM_NECESSIDADE, OUTRO]
+ *               observacao:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Consulta atualizada com sucesso
+ *       409:
+ *         description: Transição de status não permitida (INVALID_STATUS_TRANSITION) ou status alterado por outra requisição (RESOURCE_CONFLICT)
  */
 export const updateConsulta = async (req, res) => {
     try {
         const { id } = req.params;
-        const { status, detalhes } = req.body;
+        const { status, detalhes, motivo, observacao } = req.body;
         const userPerfil = req.userPerfil;
         const userId = req.userId;
 
@@ -371,22 +432,23 @@ export const updateConsulta = async (req, res) => {
 
         const dadosAtualizacao = {};
         if (status) {
-            const statusValidos = ['AGENDADA', 'REALIZADA', 'CANCELADA', 'NAO_COMPARECEU'];
-            if (!statusValidos.includes(status)) {
-                return res.status(400).json({
-                    error: {
-                        code: 'VALIDATION_ERROR',
-                        message: 'Status inválido'
-                    }
-                });
+            // Aplica a máquina de estados (transições e perfis permitidos)
+            if (status !== consulta.status) {
+                const motivoRecusa = validarTransicao({ agendamento: consulta, novoStatus: status, perfil: userPerfil });
+                if (motivoRecusa) {
+                    return res.status(409).json({ error: erroTransicao(consulta, status, motivoRecusa) });
+                }
+
+                if (status === 'CANCELADA') {
+                    Object.assign(dadosAtualizacao, dadosCancelamento({ motivo, observacao, usuarioId: userId }));
+                } else {
+                    dadosAtualizacao.status = status;
+                }
             }
-            dadosAtualizacao.status = status;
         }
         if (detalhes !== undefined) dadosAtualizacao.detalhes = detalhes;
 
-        const consultaAtualizada = await prisma.consulta.update({
-            where: { id },
-            data: dadosAtualizacao,
+        const consultaAtualizada = await atualizarSeStatusMantido('consulta', consulta, dadosAtualizacao, {
             include: {
                 paciente: {
                     select: {
@@ -405,6 +467,15 @@ export const updateConsulta = async (req, res) => {
             }
         });
 
+        if (!consultaAtualizada) {
+            return res.status(409).json({ error: erroStatusAlterado });
+        }
+
+        if (dadosAtualizacao.status) {
+            const evento = dadosAtualizacao.status === 'CANCELADA' ? 'CANCELADO' : 'STATUS_ALTERADO';
+            notificarAgendamento(evento, 'CONSULTA', consultaAtualizada);
+        }
+
         return res.json({
             message: 'Consulta atualizada com sucesso',
             consulta: consultaAtualizada
@@ -434,13 +505,33 @@ export const updateConsulta = async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - motivo
+ *             properties:
+ *               motivo:
+ *                 type: string
+ *                 enum: [IMPEDIMENTO_PACIENTE, IMPEDIMENTO_MEDICO, ERRO_AGENDAMENTO, SEM_NECESSIDADE, OUTRO]
+ *               observacao:
+ *                 type: string
+ *                 description: Obrigatória quando motivo = OUTRO
  *     responses:
  *       200:
  *         description: Consulta cancelada com sucesso
+ *       403:
+ *         description: Consulta de outro paciente ou de outro médico
+ *       409:
+ *         description: Transição de status não permitida (INVALID_STATUS_TRANSITION) ou status alterado por outra requisição (RESOURCE_CONFLICT)
  */
 export const deleteConsulta = async (req, res) => {
     try {
         const { id } = req.params;
+        const { motivo, observacao } = req.body;
         const userPerfil = req.userPerfil;
         const userId = req.userId;
 
@@ -467,11 +558,32 @@ export const deleteConsulta = async (req, res) => {
             });
         }
 
+        if (userPerfil === 'MEDICO' && consulta.medicoId !== userId) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Você não tem permissão para cancelar esta consulta'
+                }
+            });
+        }
+
+        const motivoRecusa = validarTransicao({ agendamento: consulta, novoStatus: 'CANCELADA', perfil: userPerfil });
+        if (motivoRecusa) {
+            return res.status(409).json({ error: erroTransicao(consulta, 'CANCELADA', motivoRecusa) });
+        }
+
         // Atualiza o status para CANCELADA ao invés de deletar
-        const consultaCancelada = await prisma.consulta.update({
-            where: { id },
-            data: { status: 'CANCELADA' }
-        });
+        const consultaCancelada = await atualizarSeStatusMantido(
+            'consulta',
+            consulta,
+            dadosCancelamento({ motivo, observacao, usuarioId: userId })
+        );
+
+        if (!consultaCancelada) {
+            return res.status(409).json({ error: erroStatusAlterado });
+        }
+
+        notificarAgendamento('CANCELADO', 'CONSULTA', consultaCancelada);
 
         return res.json({
             message: 'Consulta cancelada com sucesso',
@@ -487,3 +599,182 @@ export const deleteConsulta = async (req, res) => {
         });
     }
 };
+
+/**
+ * @swagger
+ * /consultas/{id}/remarcar:
+ *   post:
+ *     summary: Remarca uma consulta (novo dia/hora e, opcionalmente, novo médico)
+ *     tags: [Consultas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - dia
+ *               - hora
+ *             properties:
+ *               dia:
+ *                 type: string
+ *                 format: date
+ *               hora:
+ *                 type: string
+ *               medicoId:
+ *                 type: string
+ *               motivo:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Consulta remarcada com sucesso
+ *       409:
+ *         description: Horário indisponível
+ */
+export const remarcarConsulta = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { dia, hora, medicoId, motivo } = req.body;
+        const userPerfil = req.userPerfil;
+        const userId = req.userId;
+
+        const consulta = await prisma.consulta.findUnique({
+            where: { id }
+        });
+
+        if (!consulta) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Consulta não encontrada'
+                }
+            });
+        }
+
+        // Verifica permissões
+        if (userPerfil === 'PACIENTE' && consulta.pacienteId !== userId) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Você não tem permissão para remarcar esta consulta'
+                }
+            });
+        }
+
+        if (userPerfil === 'MEDICO' && consulta.medicoId !== userId) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Você não tem permissão para remarcar esta consulta'
+                }
+            });
+        }
+
+        const resultado = await remarcarAgendamento({
+            tipo: 'CONSULTA',
+            agendamento: consulta,
+            dia,
+            hora,
+            medicoId,
+            motivo,
+            usuarioId: userId
+        });
+
+        if (resultado.error) {
+            return res.status(resultado.status).json({ error: resultado.error });
+        }
+
+        notificarAgendamento('REMARCADO', 'CONSULTA', resultado.registro);
+
+        return res.json({
+            message: 'Consulta remarcada com sucesso',
+            consulta: resultado.registro
+        });
+    } catch (error) {
+        console.error('Erro ao remarcar consulta:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao remarcar consulta'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /consultas/{id}/historico:
+ *   get:
+ *     summary: Lista o histórico de remarcações da consulta
+ *     tags: [Consultas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Histórico de remarcações
+ */
+export const getHistoricoConsulta = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userPerfil = req.userPerfil;
+        const userId = req.userId;
+
+        const consulta = await prisma.consulta.findUnique({
+            where: { id }
+        });
+
+        if (!consulta) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Consulta não encontrada'
+                }
+            });
+        }
+
+        // Verifica permissões
+        if (userPerfil === 'PACIENTE' && consulta.pacienteId !== userId) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Você não tem permissão para acessar esta consulta'
+                }
+            });
+        }
+
+        if (userPerfil === 'MEDICO' && consulta.medicoId !== userId) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Você não tem permissão para acessar esta consulta'
+                }
+            });
+        }
+
+        const historico = await listarHistorico('CONSULTA', id);
+
+        return res.json({ historico });
+    } catch (error) {
+        console.error('Erro ao buscar histórico da consulta:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao buscar histórico da consulta'
+            }
+        });
+    }
+};
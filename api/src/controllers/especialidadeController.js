@@ -0,0 +1,277 @@
+import prisma from '../config/database.js';
+
+// Nome único sem diferenciar maiúsculas (ex.: "cardiologia" e "Cardiologia")
+const buscarDuplicada = (nome, ignorarId) => {
+    if (!nome) return null;
+
+    return prisma.especialidade.findFirst({
+        where: {
+            nome: { equals: nome, mode: 'insensitive' },
+            id: ignorarId ? { not: ignorarId } : undefined
+        }
+    });
+};
+
+/**
+ * @swagger
+ * /especialidades:
+ *   get:
+ *     summary: Lista as especialidades médicas (rota pública)
+ *     description: |
+ *       Usada para montar o filtro de médicos no agendamento. Sem token (ou para quem não é admin)
+ *       retorna apenas as especialidades ativas; o admin pode filtrar por ativo.
+ *     tags: [Especialidades]
+ *     parameters:
+ *       - in: query
+ *         name: ativo
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Especialidades com a quantidade de médicos ativos
+ */
+export const listEspecialidades = async (req, res) => {
+    try {
+        const { ativo } = req.query;
+
+        const especialidades = await prisma.especialidade.findMany({
+            where: {
+                ativo: req.userPerfil === 'ADMIN' ? ativo : true
+            },
+            include: {
+                _count: {
+                    select: {
+                        medicos: { where: { medico: { ativo: true } } }
+                    }
+                }
+            },
+            orderBy: { nome: 'asc' }
+        });
+
+        return res.json({
+            especialidades: especialidades.map(({ _count, ...especialidade }) => ({
+                ...especialidade,
+                totalMedicos: _count.medicos
+            }))
+        });
+    } catch (error) {
+        console.error('Erro ao listar especialidades:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao listar especialidades'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /especialidades:
+ *   post:
+ *     summary: Cadastra uma especialidade (admin)
+ *     tags: [Especialidades]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nome
+ *             properties:
+ *               nome:
+ *                 type: string
+ *                 example: Cardiologia
+ *               descricao:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Especialidade cadastrada
+ *       409:
+ *         description: Já existe uma especialidade com esse nome
+ */
+export const createEspecialidade = async (req, res) => {
+    try {
+        const { nome, descricao } = req.body;
+
+        if (await buscarDuplicada(nome)) {
+            return res.status(409).json({
+                error: {
+                    code: 'RESOURCE_CONFLICT',
+                    message: 'Já existe uma especialidade com esse nome'
+                }
+            });
+        }
+
+        const especialidade = await prisma.especialidade.create({
+            data: { nome, descricao }
+        });
+
+        return res.status(201).json({
+            message: 'Especialidade cadastrada com sucesso',
+            especialidade
+        });
+    } catch (error) {
+        console.error('Erro ao cadastrar especialidade:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao cadastrar especialidade'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /especialidades/{id}:
+ *   put:
+ *     summary: Atualiza uma especialidade (admin)
+ *     description: Especialidades inativas deixam de aparecer no filtro público, mas continuam nos perfis já cadastrados.
+ *     tags: [Especialidades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               nome:
+ *                 type: string
+ *               descricao:
+ *                 type: string
+ *                 nullable: true
+ *               ativo:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Especialidade atualizada
+ */
+export const updateEspecialidade = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { nome, descricao, ativo } = req.body;
+
+        const especialidade = await prisma.especialidade.findUnique({
+            where: { id }
+        });
+
+        if (!especialidade) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Especialidade não encontrada'
+                }
+            });
+        }
+
+        if (await buscarDuplicada(nome, id)) {
+            return res.status(409).json({
+                error: {
+                    code: 'RESOURCE_CONFLICT',
+                    message: 'Já existe uma especialidade com esse nome'
+                }
+            });
+        }
+
+        const especialidadeAtualizada = await prisma.especialidade.update({
+            where: { id },
+            data: { nome, descricao, ativo }
+        });
+
+        return res.json({
+            message: 'Especialidade atualizada com sucesso',
+            especialidade: especialidadeAtualizada
+        });
+    } catch (error) {
+        console.error('Erro ao atualizar especialidade:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao atualizar especialidade'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /especialidades/{id}:
+ *   delete:
+ *     summary: Remove uma especialidade (admin)
+ *     description: Só é possível remover especialidades sem médicos vinculados; as demais devem ser desativadas.
+ *     tags: [Especialidades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Especialidade removida
+ *       409:
+ *         description: Especialidade possui médicos vinculados
+ */
+export const deleteEspecialidade = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const especialidade = await prisma.especialidade.findUnique({
+            where: { id },
+            include: {
+                _count: {
+                    select: { medicos: true }
+                }
+            }
+        });
+
+        if (!especialidade) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Especialidade não encontrada'
+                }
+            });
+        }
+
+        if (especialidade._count.medicos > 0) {
+            return res.status(409).json({
+                error: {
+                    code: 'RESOURCE_CONFLICT',
+                    message: 'Especialidade possui médicos vinculados; desative-a em vez de removê-la',
+                    details: { medicos: especialidade._count.medicos }
+                }
+            });
+        }
+
+        await prisma.especialidade.delete({
+            where: { id }
+        });
+
+        return res.json({
+            message: 'Especialidade removida com sucesso'
+        });
+    } catch (error) {
+        console.error('Erro ao remover especialidade:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao remover especialidade'
+            }
+        });
+    }
+};
@@ -1,10 +1,21 @@
 import prisma from '../config/database.js';
+import { montarDataHora, parseDia, buscarSlotPublicado } from '../services/agendaService.js';
+import { reservarHorario, erroConflito } from '../services/conflitoService.js';
+import { remarcarAgendamento, listarHistorico } from '../services/remarcacaoService.js';
+import { validarTransicao, erroTransicao, atualizarSeStatusMantido, erroStatusAlterado } from '../services/statusService.js';
+import { dadosCancelamento } from '../services/cancelamentoService.js';
+import { notificarAgendamento } from '../services/notificacaoService.js';
+import { registrarAcessoProntuario } from '../services/acessoProntuarioService.js';
+import { filtroLiberado } from '../services/resultadoService.js';
+import { incluirTipoExame, buscarTipoExameAgendamento, medicoHabilitado } from '../services/tipoExameService.js';
+import { paginar, ordenar, filtroPeriodo, metaPaginacao } from '../utils/listagem.js';
 
 /**
  * @swagger
  * /exames:
  *   post:
  *     summary: Cria um novo exame
+ *     description: O nome e a duração vêm do tipo de exame; o médico deve estar habilitado para o tipo.
  *     tags: [Exames]
  *     security:
  *       - bearerAuth: []
@@ -15,13 +26,13 @@ import prisma from '../config/database.js';
  *           schema:
  *             type: object
  *             required:
- *               - nome
+ *               - tipoExameId
  *               - pacienteId
  *               - medicoId
  *               - dia
  *               - hora
  *             properties:
- *               nome:
+ *               tipoExameId:
  *                 type: string
  *               pacienteId:
  *                 type: string
@@ -40,20 +51,10 @@ import prisma from '../config/database.js';
  */
 export const createExame = async (req, res) => {
     try {
-        const { nome, pacienteId, medicoId, dia, hora, detalhes } = req.body;
+        const { tipoExameId, pacienteId, medicoId, dia, hora, detalhes } = req.body;
         const userPerfil = req.userPerfil;
         const userId = req.userId;
 
-        // Validação básica
-        if (!nome || !pacienteId || !medicoId || !dia || !hora) {
-            return res.status(400).json({
-                error: {
-                    code: 'VALIDATION_ERROR',
-                    message: 'Nome, paciente, médico, dia e hora são obrigatórios'
-                }
-            });
-        }
-
         // Verifica permissões
         if (userPerfil === 'PACIENTE' && pacienteId !== userId) {
             return res.status(403).json({
@@ -92,37 +93,58 @@ export const createExame = async (req, res) => {
             });
         }
 
+        // Verifica o tipo de exame no catálogo e se o médico pode realizá-lo
+        const tipoExame = await buscarTipoExameAgendamento(tipoExameId);
+
+        if (!tipoExame || !tipoExame.ativo) {
+            return res.status(400).json({
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'Tipo de exame inválido'
+                }
+            });
+        }
+
+        if (!(await medicoHabilitado(tipoExame, medicoId))) {
+            return res.status(400).json({
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'O médico não realiza este tipo de exame'
+                }
+            });
+        }
+
         // Cria dataHora combinando dia e hora
-        const [horas, minutos] = hora.split(':');
-        const dataHora = new Date(dia);
-        dataHora.setHours(parseInt(horas), parseInt(minutos), 0, 0);
+        const dataHora = montarDataHora(dia, hora);
 
-        // Verifica se já existe exame no mesmo horário para o médico
-        const exameExistente = await prisma.exame.findFirst({
-            where: {
-                medicoId,
-                dataHora
-            }
-        });
+        // Verifica se o horário faz parte da agenda publicada do médico
+        const slot = await buscarSlotPublicado(medicoId, dataHora);
 
-        if (exameExistente) {
+        if (!slot) {
             return res.status(409).json({
                 error: {
                     code: 'SLOT_UNAVAILABLE',
-                    message: 'Horário indisponível para este médico'
+                    message: 'Horário fora da disponibilidade do médico'
                 }
             });
         }
 
-        // Cria o exame
-        const exame = await prisma.exame.create({
+        // Verifica conflitos (médico e paciente, consultas e exames) e cria o exame
+        const { conflito, registro: exame } = await reservarHorario({
+            medicoId,
+            pacienteId,
+            dataHora,
+            duracaoMinutos: tipoExame.duracaoPadraoMinutos
+        }, (tx) => tx.exame.create({
             data: {
-                nome,
+                nome: tipoExame.nome,
+                tipoExameId,
                 pacienteId,
                 medicoId,
-                dia: new Date(dia),
+                dia: parseDia(dia),
                 hora,
                 dataHora,
+                duracaoMinutos: tipoExame.duracaoPadraoMinutos,
                 detalhes
             },
             include: {
@@ -139,9 +161,16 @@ export const createExame = async (req, res) => {
                         nome: true,
                         email: true
                     }
-                }
+                },
+                tipoExame: incluirTipoExame
             }
-        });
+        }));
+
+        if (conflito) {
+            return res.status(409).json({ error: erroConflito(conflito) });
+        }
+
+        notificarAgendamento('CRIADO', 'EXAME', exame);
 
         return res.status(201).json({
             message: 'Exame agendado com sucesso',
@@ -162,20 +191,59 @@ export const createExame = async (req, res) => {
  * @swagger
  * /exames:
  *   get:
- *     summary: Lista exames
+ *     summary: Lista exames (paginado, com filtros)
  *     tags: [Exames]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [AGENDADA, REALIZADA, CANCELADA, NAO_COMPARECEU]
+ *       - in: query
+ *         name: medicoId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: pacienteId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: de
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: ate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - in: query
+ *         name: orderBy
+ *         schema:
+ *           type: string
+ *           enum: [dataHora, criadoEm, status]
+ *           default: dataHora
+ *       - $ref: '#/components/parameters/Order'
  *     responses:
  *       200:
- *         description: Lista de exames
+ *         description: Lista paginada de exames (total no cabeçalho Content-Range)
  */
 export const listExames = async (req, res) => {
     try {
         const userPerfil = req.userPerfil;
         const userId = req.userId;
+        const { status, medicoId, pacienteId, de, ate } = req.query;
 
-        let whereClause = {};
+        let whereClause = {
+            status,
+            medicoId,
+            pacienteId,
+            dataHora: filtroPeriodo({ de, ate })
+        };
 
         // Filtro por perfil
         if (userPerfil === 'PACIENTE') {
@@ -185,30 +253,36 @@ export const listExames = async (req, res) => {
         }
         // Admin e Atendente veem todos
 
-        const exames = await prisma.exame.findMany({
-            where: whereClause,
-            include: {
-                paciente: {
-                    select: {
-                        id: true,
-                        nome: true,
-                        email: true
-                    }
+        const [exames, total] = await prisma.$transaction([
+            prisma.exame.findMany({
+                where: whereClause,
+                include: {
+                    paciente: {
+                        select: {
+                            id: true,
+                            nome: true,
+                            email: true
+                        }
+                    },
+                    medico: {
+                        select: {
+                            id: true,
+                            nome: true,
+                            email: true
+                        }
+                    },
+                    tipoExame: incluirTipoExame
                 },
-                medico: {
-                    select: {
-                        id: true,
-                        nome: true,
-                        email: true
-                    }
-                }
-            },
-            orderBy: {
-                dataHora: 'asc'
-            }
-        });
+                orderBy: ordenar(req.query),
+                ...paginar(req.query)
+            }),
+            prisma.exame.count({ where: whereClause })
+        ]);
 
-        return res.json({ exames });
+        return res.json({
+            exames,
+            paginacao: metaPaginacao(res, 'exames', req.query, total, exames.length)
+        });
     } catch (error) {
         console.error('Erro ao listar exames:', error);
         return res.status(500).json({
@@ -261,7 +335,9 @@ export const getExame = async (req, res) => {
                         email: true
                     }
                 },
-                resultados: true
+                tipoExame: incluirTipoExame,
+                // Rascunhos e liberações agendadas não aparecem para o paciente
+                resultados: userPerfil === 'PACIENTE' ? { where: filtroLiberado() } : true
             }
         });
 
@@ -293,6 +369,8 @@ export const getExame = async (req, res) => {
             });
         }
 
+        await registrarAcessoProntuario(req, { pacienteId: exame.pacienteId, recurso: 'Exame', recursoId: exame.id });
+
         return res.json({ exame });
     } catch (error) {
         console.error('Erro ao buscar exame:', error);
@@ -331,14 +409,22 @@ export const getExame = async (req, res) => {
  *                 enum: [AGENDADA, REALIZADA, CANCELADA, NAO_COMPARECEU]
  *               detalhes:
  *                 type: string
+ *               motivo:
+ *                 type: string
+ *                 description: Obrigatório quando status = CANCELADA
+ *                 enum: [IMPEDIMENTO_PACIENTE, IMPEDIMENTO_MEDICO, ERRO_AGENDAMENTO, SEM_NECESSIDADE, OUTRO]
+ *               observacao:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Exame atualizado com sucesso
+ *       409:
+ *         description: Transição de status não permitida (INVALID_STATUS_TRANSITION) ou status alterado por outra requisição (RESOURCE_CONFLICT)
  */
 export const updateExame = async (req, res) => {
     try {
         const { id } = req.params;
-        const { status, detalhes } = req.body;
+        const { status, detalhes, motivo, observacao } = req.body;
         const userPerfil = req.userPerfil;
         const userId = req.userId;
 
@@ -376,22 +462,23 @@ export const updateExame = async (req, res) => {
 
         const dadosAtualizacao = {};
         if (status) {
-            const statusValidos = ['AGENDADA', 'REALIZADA', 'CANCELADA', 'NAO_COMPARECEU'];
-            if (!statusValidos.includes(status)) {
-                return res.status(400).json({
-                    error: {
-                        code: 'VALIDATION_ERROR',
-                        message: 'Status inválido'
-                    }
-                });
+            // Aplica a máquina de estados (transições e perfis permitidos)
+            if (status !== exame.status) {
+                const motivoRecusa = validarTransicao({ agendamento: exame, novoStatus: status, perfil: userPerfil });
+                if (motivoRecusa) {
+                    return res.status(409).json({ error: erroTransicao(exame, status, motivoRecusa) });
+                }
+
+                if (status === 'CANCELADA') {
+                    Object.assign(dadosAtualizacao, dadosCancelamento({ motivo, observacao, usuarioId: userId }));
+                } else {
+                    dadosAtualizacao.status = status;
+                }
             }
-            dadosAtualizacao.status = status;
         }
         if (detalhes !== undefined) dadosAtualizacao.detalhes = detalhes;
 
-        const exameAtualizado = await prisma.exame.update({
-            where: { id },
-            data: dadosAtualizacao,
+        const exameAtualizado = await atualizarSeStatusMantido('exame', exame, dadosAtualizacao, {
             include: {
                 paciente: {
                     select: {
@@ -406,10 +493,20 @@ export const updateExame = async (req, res) => {
                         nome: true,
                         email: true
                     }
-                }
+                },
+                tipoExame: incluirTipoExame
             }
         });
 
+        if (!exameAtualizado) {
+            return res.status(409).json({ error: erroStatusAlterado });
+        }
+
+        if (dadosAtualizacao.status) {
+            const evento = dadosAtualizacao.status === 'CANCELADA' ? 'CANCELADO' : 'STATUS_ALTERADO';
+            notificarAgendamento(evento, 'EXAME', exameAtualizado);
+        }
+
         return res.json({
             message: 'Exame atualizado com sucesso',
             exame: exameAtualizado
@@ -439,13 +536,33 @@ export const updateExame = async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - motivo
+ *             properties:
+ *               motivo:
+ *                 type: string
+ *                 enum: [IMPEDIMENTO_PACIENTE, IMPEDIMENTO_MEDICO, ERRO_AGENDAMENTO, SEM_NECESSIDADE, OUTRO]
+ *               observacao:
+ *                 type: string
+ *                 description: Obrigatória quando motivo = OUTRO
  *     responses:
  *       200:
  *         description: Exame cancelado com sucesso
+ *       403:
+ *         description: Exame de outro paciente ou de outro médico
+ *       409:
+ *         description: Transição de status não permitida (INVALID_STATUS_TRANSITION) ou status alterado por outra requisição (RESOURCE_CONFLICT)
  */
 export const deleteExame = async (req, res) => {
     try {
         const { id } = req.params;
+        const { motivo, observacao } = req.body;
         const userPerfil = req.userPerfil;
         const userId = req.userId;
 
@@ -472,11 +589,32 @@ export const deleteExame = async (req, res) => {
             });
         }
 
+        if (userPerfil === 'MEDICO' && exame.medicoId !== userId) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Você não tem permissão para cancelar este exame'
+                }
+            });
+        }
+
+        const motivoRecusa = validarTransicao({ agendamento: exame, novoStatus: 'CANCELADA', perfil: userPerfil });
+        if (motivoRecusa) {
+            return res.status(409).json({ error: erroTransicao(exame, 'CANCELADA', motivoRecusa) });
+        }
+
         // Atualiza o status para CANCELADA ao invés de deletar
-        const exameCancelado = await prisma.exame.update({
-            where: { id },
-            data: { status: 'CANCELADA' }
-        });
+        const exameCancelado = await atualizarSeStatusMantido(
+            'exame',
+            exame,
+            dadosCancelamento({ motivo, observacao, usuarioId: userId })
+        );
+
+        if (!exameCancelado) {
+            return res.status(409).json({ error: erroStatusAlterado });
+        }
+
+        notificarAgendamento('CANCELADO', 'EXAME', exameCancelado);
 
         return res.json({
             message: 'Exame cancelado com sucesso',
@@ -492,3 +630,182 @@ export const deleteExame = async (req, res) => {
         });
     }
 };
+
+/**
+ * @swagger
+ * /exames/{id}/remarcar:
+ *   post:
+ *     summary: Remarca um exame (novo dia/hora e, opcionalmente, novo médico)
+ *     tags: [Exames]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - dia
+ *               - hora
+ *             properties:
+ *               dia:
+ *                 type: string
+ *                 format: date
+ *               hora:
+ *                 type: string
+ *               medicoId:
+ *                 type: string
+ *               motivo:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Exame remarcado com sucesso
+ *       409:
+ *         description: Horário indisponível
+ */
+export const remarcarExame = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { dia, hora, medicoId, motivo } = req.body;
+        const userPerfil = req.userPerfil;
+        const userId = req.userId;
+
+        const exame = await prisma.exame.findUnique({
+            where: { id }
+        });
+
+        if (!exame) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Exame não encontrado'
+                }
+            });
+        }
+
+        // Verifica permissões
+        if (userPerfil === 'PACIENTE' && exame.pacienteId !== userId) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Você não tem permissão para remarcar este exame'
+                }
+            });
+        }
+
+        if (userPerfil === 'MEDICO' && exame.medicoId !== userId) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Você não tem permissão para remarcar este exame'
+                }
+            });
+        }
+
+        const resultado = await remarcarAgendamento({
+            tipo: 'EXAME',
+            agendamento: exame,
+            dia,
+            hora,
+            medicoId,
+            motivo,
+            usuarioId: userId
+        });
+
+        if (resultado.error) {
+            return res.status(resultado.status).json({ error: resultado.error });
+        }
+
+        notificarAgendamento('REMARCADO', 'EXAME', resultado.registro);
+
+        return res.json({
+            message: 'Exame remarcado com sucesso',
+            exame: resultado.registro
+        });
+    } catch (error) {
+        console.error('Erro ao remarcar exame:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao remarcar exame'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /exames/{id}/historico:
+ *   get:
+ *     summary: Lista o histórico de remarcações do exame
+ *     tags: [Exames]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Histórico de remarcações
+ */
+export const getHistoricoExame = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userPerfil = req.userPerfil;
+        const userId = req.userId;
+
+        const exame = await prisma.exame.findUnique({
+            where: { id }
+        });
+
+        if (!exame) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Exame não encontrado'
+                }
+            });
+        }
+
+        // Verifica permissões
+        if (userPerfil === 'PACIENTE' && exame.pacienteId !== userId) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Você não tem permissão para acessar este exame'
+                }
+            });
+        }
+
+        if (userPerfil === 'MEDICO' && exame.medicoId !== userId) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Você não tem permissão para acessar este exame'
+                }
+            });
+        }
+
+        const historico = await listarHistorico('EXAME', id);
+
+        return res.json({ historico });
+    } catch (error) {
+        console.error('Erro ao buscar histórico do exame:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao buscar histórico do exame'
+            }
+        });
+    }
+};
@@ -0,0 +1,86 @@
+import prisma from '../config/database.js';
+import { paginar, ordenar, metaPaginacao } from '../utils/listagem.js';
+
+/**
+ * @swagger
+ * /lembretes:
+ *   get:
+ *     summary: Lista lembretes de agendamentos (admin)
+ *     tags: [Lembretes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDENTE, ENVIADO, CANCELADO, FALHOU]
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - in: query
+ *         name: orderBy
+ *         schema:
+ *           type: string
+ *           enum: [enviarEm, criadoEm]
+ *       - in: query
+ *         name: order
+ *         description: Padrão asc para PENDENTE e desc para os demais
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *     responses:
+ *       200:
+ *         description: Lista paginada de lembretes
+ */
+export const listLembretes = async (req, res) => {
+    try {
+        const { status } = req.query;
+        const whereClause = status ? { status } : {};
+        const order = req.query.order ?? (status === 'PENDENTE' ? 'asc' : 'desc');
+
+        const [lembretes, total] = await prisma.$transaction([
+            prisma.lembrete.findMany({
+                where: whereClause,
+                include: {
+                    paciente: {
+                        select: {
+                            id: true,
+                            nome: true
+                        }
+                    },
+                    consulta: {
+                        select: {
+                            id: true,
+                            dataHora: true,
+                            status: true
+                        }
+                    },
+                    exame: {
+                        select: {
+                            id: true,
+                            nome: true,
+                            dataHora: true,
+                            status: true
+                        }
+                    }
+                },
+                orderBy: ordenar({ ...req.query, order }),
+                ...paginar(req.query)
+            }),
+            prisma.lembrete.count({ where: whereClause })
+        ]);
+
+        return res.json({
+            lembretes,
+            paginacao: metaPaginacao(res, 'lembretes', req.query, total, lembretes.length)
+        });
+    } catch (error) {
+        console.error('Erro ao listar lembretes:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao listar lembretes'
+            }
+        });
+    }
+};
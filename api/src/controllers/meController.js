@@ -0,0 +1,604 @@
+import bcrypt from 'bcryptjs';
+import prisma from '../config/database.js';
+import { dadosPaciente, incluirPerfilPaciente, salvarPerfilPaciente } from '../services/perfilPacienteService.js';
+import { incluirPerfilMedico } from '../services/perfilMedicoService.js';
+import { revogarOutrasSessoes, revogarSessoesDoUsuario } from '../services/sessaoService.js';
+import { dadosCancelamento } from '../services/cancelamentoService.js';
+import { montarExportacao, transmitirExportacao } from '../services/exportacaoService.js';
+import { paginar, ordenar, filtroPeriodo, metaPaginacao } from '../utils/listagem.js';
+
+const dadosConta = {
+    id: true,
+    nome: true,
+    email: true,
+    perfil: true,
+    criadoEm: true,
+    atualizadoEm: true
+};
+
+/**
+ * @swagger
+ * /me:
+ *   get:
+ *     summary: Retorna a conta do usuário logado
+ *     description: Inclui o cadastro do paciente ou o perfil profissional do médico (nulos para os demais perfis).
+ *     tags: [Minha Conta]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Dados da conta
+ */
+export const getMe = async (req, res) => {
+    try {
+        const usuario = await prisma.usuario.findUnique({
+            where: { id: req.userId },
+            select: {
+                ...dadosConta,
+                perfilPaciente: incluirPerfilPaciente,
+                perfilMedico: incluirPerfilMedico
+            }
+        });
+
+        if (!usuario) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Usuário não encontrado'
+                }
+            });
+        }
+
+        return res.json({ usuario });
+    } catch (error) {
+        console.error('Erro ao buscar conta:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao buscar conta'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /me:
+ *   patch:
+ *     summary: Atualiza nome e/ou email do usuário logado
+ *     tags: [Minha Conta]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               nome:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               senhaAtual:
+ *                 type: string
+ *                 description: Obrigatória para trocar o email
+ *     responses:
+ *       200:
+ *         description: Conta atualizada com sucesso
+ *       409:
+ *         description: Email já cadastrado
+ */
+export const updateMe = async (req, res) => {
+    try {
+        const { nome, email, senhaAtual } = req.body;
+
+        const usuario = await prisma.usuario.findUnique({
+            where: { id: req.userId }
+        });
+
+        if (!usuario) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Usuário não encontrado'
+                }
+            });
+        }
+
+        const trocaEmail = email !== undefined && email !== usuario.email;
+
+        if (trocaEmail) {
+            if (!senhaAtual || !(await bcrypt.compare(senhaAtual, usuario.senhaHash))) {
+                return res.status(400).json({
+                    error: {
+                        code: 'AUTH_INVALID_CREDENTIALS',
+                        message: 'Informe a senha atual correta para trocar o email'
+                    }
+                });
+            }
+
+            const emailEmUso = await prisma.usuario.findUnique({
+                where: { email }
+            });
+
+            if (emailEmUso) {
+                return res.status(409).json({
+                    error: {
+                        code: 'RESOURCE_CONFLICT',
+                        message: 'Email já cadastrado'
+                    }
+                });
+            }
+        }
+
+        const usuarioAtualizado = await prisma.usuario.update({
+            where: { id: req.userId },
+            data: {
+                nome,
+                email: trocaEmail ? email : undefined
+            },
+            select: dadosConta
+        });
+
+        return res.json({
+            message: 'Conta atualizada com sucesso',
+            usuario: usuarioAtualizado
+        });
+    } catch (error) {
+        console.error('Erro ao atualizar conta:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao atualizar conta'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /me/alterar-senha:
+ *   post:
+ *     summary: Altera a senha do usuário logado
+ *     description: As demais sessões (outros dispositivos) são encerradas; a sessão atual continua válida.
+ *     tags: [Minha Conta]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - senhaAtual
+ *               - novaSenha
+ *             properties:
+ *               senhaAtual:
+ *                 type: string
+ *               novaSenha:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Senha alterada com sucesso
+ *       400:
+ *         description: Senha atual incorreta (AUTH_INVALID_CREDENTIALS)
+ */
+export const alterarSenha = async (req, res) => {
+    try {
+        const { senhaAtual, novaSenha } = req.body;
+
+        const usuario = await prisma.usuario.findUnique({
+            where: { id: req.userId }
+        });
+
+        if (!usuario) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Usuário não encontrado'
+                }
+            });
+        }
+
+        if (!(await bcrypt.compare(senhaAtual, usuario.senhaHash))) {
+            return res.status(400).json({
+                error: {
+                    code: 'AUTH_INVALID_CREDENTIALS',
+                    message: 'Senha atual incorreta'
+                }
+            });
+        }
+
+        const senhaHash = await bcrypt.hash(novaSenha, 10);
+
+        const { count } = await prisma.$transaction(async (tx) => {
+            await tx.usuario.update({
+                where: { id: usuario.id },
+                data: { senhaHash }
+            });
+
+            return revogarOutrasSessoes(usuario.id, req.sessaoId, tx);
+        });
+
+        return res.json({
+            message: 'Senha alterada com sucesso',
+            sessoesEncerradas: count
+        });
+    } catch (error) {
+        console.error('Erro ao alterar senha:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao alterar senha'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /me:
+ *   delete:
+ *     summary: Desativa a conta do paciente logado
+ *     description: |
+ *       A conta é desativada (não excluída: o prontuário é mantido), as sessões são encerradas e
+ *       as consultas e exames futuros são cancelados. A reativação é feita pelo admin.
+ *       Contas da equipe são desativadas apenas pelo admin.
+ *     tags: [Minha Conta]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - senha
+ *             properties:
+ *               senha:
+ *                 type: string
+ *               motivo:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Conta desativada
+ *       400:
+ *         description: Senha incorreta (AUTH_INVALID_CREDENTIALS)
+ */
+export const desativarConta = async (req, res) => {
+    try {
+        const { senha, motivo } = req.body;
+        const userId = req.userId;
+
+        if (req.userPerfil !== 'PACIENTE') {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Contas da equipe são desativadas pelo administrador'
+                }
+            });
+        }
+
+        const usuario = await prisma.usuario.findUnique({
+            where: { id: userId }
+        });
+
+        if (!usuario) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Usuário não encontrado'
+                }
+            });
+        }
+
+        if (!(await bcrypt.compare(senha, usuario.senhaHash))) {
+            return res.status(400).json({
+                error: {
+                    code: 'AUTH_INVALID_CREDENTIALS',
+                    message: 'Senha incorreta'
+                }
+            });
+        }
+
+        const agora = new Date();
+        const agendamentosFuturos = { pacienteId: userId, status: 'AGENDADA', dataHora: { gt: agora } };
+        const cancelamento = dadosCancelamento({
+            motivo: 'IMPEDIMENTO_PACIENTE',
+            observacao: 'Conta desativada pelo paciente',
+            usuarioId: userId
+        });
+
+        const [consultas, exames] = await prisma.$transaction(async (tx) => {
+            await tx.usuario.update({
+                where: { id: userId },
+                data: {
+                    ativo: false,
+                    desativacaoSolicitadaEm: agora,
+                    motivoDesativacao: motivo || null
+                }
+            });
+
+            await revogarSessoesDoUsuario(userId, tx);
+
+            // Lembretes pendentes desses agendamentos são descartados pelo job
+            return Promise.all([
+                tx.consulta.updateMany({ where: agendamentosFuturos, data: cancelamento }),
+                tx.exame.updateMany({ where: agendamentosFuturos, data: cancelamento })
+            ]);
+        });
+
+        return res.json({
+            message: 'Conta desativada com sucesso',
+            consultasCanceladas: consultas.count,
+            examesCancelados: exames.count
+        });
+    } catch (error) {
+        console.error('Erro ao desativar conta:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao desativar conta'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /me/perfil:
+ *   get:
+ *     summary: Retorna o cadastro do paciente logado
+ *     tags: [Minha Conta]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Paciente com o perfil (perfilPaciente nulo se ainda não preenchido)
+ *       403:
+ *         description: Disponível apenas para pacientes
+ */
+export const getMeuPerfil = async (req, res) => {
+    try {
+        if (req.userPerfil !== 'PACIENTE') {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Cadastro disponível apenas para pacientes'
+                }
+            });
+        }
+
+        const paciente = await prisma.usuario.findUnique({
+            where: { id: req.userId },
+            select: dadosPaciente
+        });
+
+        if (!paciente) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Usuário não encontrado'
+                }
+            });
+        }
+
+        return res.json({ paciente });
+    } catch (error) {
+        console.error('Erro ao buscar cadastro:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao buscar cadastro'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /me/perfil:
+ *   put:
+ *     summary: Preenche ou substitui o cadastro do paciente logado
+ *     tags: [Minha Conta]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PerfilPaciente'
+ *     responses:
+ *       200:
+ *         description: Cadastro salvo com sucesso
+ *       409:
+ *         description: CPF já cadastrado para outro paciente
+ */
+export const updateMeuPerfil = async (req, res) => {
+    try {
+        if (req.userPerfil !== 'PACIENTE') {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Cadastro disponível apenas para pacientes'
+                }
+            });
+        }
+
+        const cadastro = await salvarPerfilPaciente(req.userId, req.body);
+
+        if (cadastro.error) {
+            return res.status(cadastro.status).json({ error: cadastro.error });
+        }
+
+        return res.json({
+            message: 'Cadastro salvo com sucesso',
+            perfilPaciente: cadastro.perfilPaciente
+        });
+    } catch (error) {
+        console.error('Erro ao salvar cadastro:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao salvar cadastro'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /me/acessos:
+ *   get:
+ *     summary: Lista quem acessou o prontuário do paciente logado
+ *     description: |
+ *       Cada leitura de consulta, exame, resultado ou cadastro do paciente feita por um profissional
+ *       (admin, atendente ou médico) é registrada com data e hora.
+ *     tags: [Minha Conta]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: de
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: ate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Order'
+ *     responses:
+ *       200:
+ *         description: Acessos (mais recentes primeiro por padrão) com o profissional, o recurso lido e a data
+ *       403:
+ *         description: Disponível apenas para pacientes
+ */
+export const listMeusAcessos = async (req, res) => {
+    try {
+        if (req.userPerfil !== 'PACIENTE') {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Histórico de acessos disponível apenas para pacientes'
+                }
+            });
+        }
+
+        const { de, ate } = req.query;
+
+        const whereClause = {
+            pacienteId: req.userId,
+            criadoEm: filtroPeriodo({ de, ate })
+        };
+
+        const [acessos, total] = await prisma.$transaction([
+            prisma.acessoProntuario.findMany({
+                where: whereClause,
+                select: {
+                    id: true,
+                    usuarioId: true,
+                    usuarioPerfil: true,
+                    recurso: true,
+                    recursoId: true,
+                    criadoEm: true
+                },
+                orderBy: ordenar(req.query),
+                ...paginar(req.query)
+            }),
+            prisma.acessoProntuario.count({ where: whereClause })
+        ]);
+
+        // Sem FK no registro: os nomes dos profissionais são buscados à parte
+        const profissionais = await prisma.usuario.findMany({
+            where: { id: { in: [...new Set(acessos.map((acesso) => acesso.usuarioId))] } },
+            select: { id: true, nome: true }
+        });
+        const nomes = new Map(profissionais.map((profissional) => [profissional.id, profissional.nome]));
+
+        return res.json({
+            acessos: acessos.map(({ usuarioId, usuarioPerfil, ...acesso }) => ({
+                ...acesso,
+                profissional: {
+                    id: usuarioId,
+                    nome: nomes.get(usuarioId) ?? null,
+                    perfil: usuarioPerfil
+                }
+            })),
+            paginacao: metaPaginacao(res, 'acessos', req.query, total, acessos.length)
+        });
+    } catch (error) {
+        console.error('Erro ao listar acessos:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao listar acessos'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /me/exportar:
+ *   get:
+ *     summary: Exporta os dados do paciente logado (portabilidade LGPD)
+ *     description: |
+ *       Zip com dados.json (conta e cadastro, consultas, exames, resultados liberados com analitos e
+ *       dispositivos de push) e os anexos dos resultados em resultados/<id>/.
+ *     tags: [Minha Conta]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Arquivo zip
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Disponível apenas para pacientes
+ */
+export const exportarMeusDados = async (req, res) => {
+    try {
+        if (req.userPerfil !== 'PACIENTE') {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Exportação disponível apenas para pacientes'
+                }
+            });
+        }
+
+        const exportacao = await montarExportacao(req.userId);
+
+        if (!exportacao) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Usuário não encontrado'
+                }
+            });
+        }
+
+        const dia = new Date().toISOString().slice(0, 10);
+        await transmitirExportacao(res, exportacao, `meus-dados-${dia}.zip`);
+    } catch (error) {
+        console.error('Erro ao exportar dados:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao exportar dados'
+            }
+        });
+    }
+};
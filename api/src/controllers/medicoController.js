@@ -0,0 +1,668 @@
+import prisma from '../config/database.js';
+import { parseDia, listarHorariosLivres as calcularHorariosLivres } from '../services/agendaService.js';
+import { incluirPerfilMedico } from '../services/perfilMedicoService.js';
+import { especialidadesInvalidas } from '../services/especialidadeService.js';
+import { paginar, ordenar, metaPaginacao } from '../utils/listagem.js';
+
+const buscarMedico = (id) => prisma.usuario.findFirst({
+    where: { id, perfil: 'MEDICO' },
+    select: { id: true, nome: true }
+});
+
+// Apenas o próprio médico ou um admin pode alterar a agenda e o perfil
+const podeGerenciarMedico = (req, medicoId) => {
+    return req.userPerfil === 'ADMIN' || (req.userPerfil === 'MEDICO' && req.userId === medicoId);
+};
+
+// Dados públicos do médico: sem email e apenas médicos ativos
+const dadosPublicos = {
+    id: true,
+    nome: true,
+    perfilMedico: incluirPerfilMedico
+};
+
+/**
+ * @swagger
+ * /medicos:
+ *   get:
+ *     summary: Lista os médicos ativos com seus perfis (rota pública)
+ *     description: Usada no agendamento para escolher o médico pela especialidade.
+ *     tags: [Médicos]
+ *     parameters:
+ *       - in: query
+ *         name: especialidade
+ *         description: 'Id ou nome da especialidade (ex.: Cardiologia)'
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: busca
+ *         description: Trecho do nome do médico
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Order'
+ *     responses:
+ *       200:
+ *         description: Médicos com CRM, especialidades, bio, foto e duração da consulta
+ */
+export const listMedicos = async (req, res) => {
+    try {
+        const { especialidade, busca } = req.query;
+
+        const whereClause = {
+            perfil: 'MEDICO',
+            ativo: true
+        };
+
+        if (especialidade) {
+            whereClause.perfilMedico = {
+                especialidades: {
+                    some: {
+                        ativo: true,
+                        OR: [
+                            { id: especialidade },
+                            { nome: { equals: especialidade, mode: 'insensitive' } }
+                        ]
+                    }
+                }
+            };
+        }
+
+        if (busca) {
+            whereClause.nome = { contains: busca, mode: 'insensitive' };
+        }
+
+        const [medicos, total] = await prisma.$transaction([
+            prisma.usuario.findMany({
+                where: whereClause,
+                select: dadosPublicos,
+                orderBy: ordenar(req.query),
+                ...paginar(req.query)
+            }),
+            prisma.usuario.count({ where: whereClause })
+        ]);
+
+        return res.json({
+            medicos,
+            paginacao: metaPaginacao(res, 'medicos', req.query, total, medicos.length)
+        });
+    } catch (error) {
+        console.error('Erro ao listar médicos:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao listar médicos'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /medicos/{id}:
+ *   get:
+ *     summary: Retorna o perfil público de um médico ativo (rota pública)
+ *     tags: [Médicos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Médico com o perfil profissional (perfilMedico nulo se ainda não cadastrado)
+ *       404:
+ *         description: Médico não encontrado
+ */
+export const getMedico = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const medico = await prisma.usuario.findFirst({
+            where: { id, perfil: 'MEDICO', ativo: true },
+            select: dadosPublicos
+        });
+
+        if (!medico) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Médico não encontrado'
+                }
+            });
+        }
+
+        return res.json({ medico });
+    } catch (error) {
+        console.error('Erro ao buscar médico:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao buscar médico'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /medicos/{id}/perfil:
+ *   put:
+ *     summary: Cadastra ou substitui o perfil profissional de um médico (médico ou admin)
+ *     description: |
+ *       Campos opcionais omitidos ficam vazios. Com duracaoConsultaMinutos definida, as novas
+ *       consultas ocupam essa duração; sem ela, ocupam o slot da agenda em que começam.
+ *     tags: [Médicos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - crm
+ *               - ufCrm
+ *             properties:
+ *               crm:
+ *                 type: string
+ *                 example: "123456"
+ *               ufCrm:
+ *                 type: string
+ *                 example: SP
+ *               bio:
+ *                 type: string
+ *               fotoUrl:
+ *                 type: string
+ *                 format: uri
+ *               duracaoConsultaMinutos:
+ *                 type: integer
+ *                 minimum: 5
+ *                 maximum: 480
+ *               especialidadeIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Perfil salvo com sucesso
+ *       409:
+ *         description: CRM já cadastrado para outro médico
+ */
+export const updatePerfilMedico = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { crm, ufCrm, bio, fotoUrl, duracaoConsultaMinutos, especialidadeIds } = req.body;
+
+        if (!podeGerenciarMedico(req, id)) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Você não tem permissão para alterar este perfil'
+                }
+            });
+        }
+
+        const medico = await buscarMedico(id);
+
+        if (!medico) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Médico não encontrado'
+                }
+            });
+        }
+
+        const [crmDuplicado, perfilAtual] = await Promise.all([
+            prisma.perfilMedico.findFirst({
+                where: { crm, ufCrm, medicoId: { not: id } }
+            }),
+            prisma.perfilMedico.findUnique({
+                where: { medicoId: id },
+                select: { especialidades: { select: { id: true } } }
+            })
+        ]);
+
+        if (crmDuplicado) {
+            return res.status(409).json({
+                error: {
+                    code: 'RESOURCE_CONFLICT',
+                    message: 'CRM já cadastrado para outro médico'
+                }
+            });
+        }
+
+        // Especialidades já vinculadas continuam aceitas mesmo que tenham sido desativadas
+        const vinculadas = new Set((perfilAtual?.especialidades ?? []).map((especialidade) => especialidade.id));
+        const invalidas = (await especialidadesInvalidas(especialidadeIds))
+            .filter((especialidadeId) => !vinculadas.has(especialidadeId));
+
+        if (invalidas.length > 0) {
+            return res.status(400).json({
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'Especialidades inválidas ou inativas',
+                    details: { especialidadeIds: invalidas }
+                }
+            });
+        }
+
+        const dados = {
+            crm,
+            ufCrm,
+            bio: bio ?? null,
+            fotoUrl: fotoUrl ?? null,
+            duracaoConsultaMinutos: duracaoConsultaMinutos ?? null
+        };
+        const especialidades = especialidadeIds.map((especialidadeId) => ({ id: especialidadeId }));
+
+        const perfilMedico = await prisma.perfilMedico.upsert({
+            where: { medicoId: id },
+            create: { ...dados, medicoId: id, especialidades: { connect: especialidades } },
+            update: { ...dados, especialidades: { set: especialidades } },
+            select: incluirPerfilMedico.select
+        });
+
+        return res.json({
+            message: 'Perfil salvo com sucesso',
+            medico: { ...medico, perfilMedico }
+        });
+    } catch (error) {
+        console.error('Erro ao salvar perfil do médico:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao salvar perfil do médico'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /medicos/{id}/horarios-livres:
+ *   get:
+ *     summary: Lista os horários livres de um médico
+ *     tags: [Médicos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: de
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: ate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Horários disponíveis para agendamento
+ */
+export const listHorariosLivres = async (req, res) => {
+    try {
+        const { id } = req.params;
+        // Período já normalizado pelo schema (padrão: 7 dias a partir de hoje)
+        const { de, ate } = req.query;
+
+        const medico = await buscarMedico(id);
+
+        if (!medico) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Médico não encontrado'
+                }
+            });
+        }
+
+        const horarios = await calcularHorariosLivres(id, de, ate);
+
+        return res.json({ medico, horarios });
+    } catch (error) {
+        console.error('Erro ao listar horários livres:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao listar horários livres'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /medicos/{id}/disponibilidade:
+ *   get:
+ *     summary: Retorna o expediente semanal e as exceções futuras de um médico
+ *     tags: [Médicos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Disponibilidade do médico
+ */
+export const getDisponibilidade = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const hoje = new Date();
+        hoje.setHours(0, 0, 0, 0);
+
+        const medico = await buscarMedico(id);
+
+        if (!medico) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Médico não encontrado'
+                }
+            });
+        }
+
+        const [disponibilidades, excecoes] = await Promise.all([
+            prisma.disponibilidadeMedico.findMany({
+                where: { medicoId: id },
+                orderBy: [{ diaSemana: 'asc' }, { horaInicio: 'asc' }]
+            }),
+            prisma.excecaoAgenda.findMany({
+                where: { medicoId: id, dia: { gte: hoje } },
+                orderBy: { dia: 'asc' }
+            })
+        ]);
+
+        return res.json({ medico, disponibilidades, excecoes });
+    } catch (error) {
+        console.error('Erro ao buscar disponibilidade:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao buscar disponibilidade'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /medicos/{id}/disponibilidade:
+ *   put:
+ *     summary: Substitui o expediente semanal de um médico (médico ou admin)
+ *     tags: [Médicos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - disponibilidades
+ *             properties:
+ *               disponibilidades:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - diaSemana
+ *                     - horaInicio
+ *                     - horaFim
+ *                   properties:
+ *                     diaSemana:
+ *                       type: integer
+ *                       minimum: 0
+ *                       maximum: 6
+ *                     horaInicio:
+ *                       type: string
+ *                     horaFim:
+ *                       type: string
+ *                     duracaoSlot:
+ *                       type: integer
+ *                     pausaInicio:
+ *                       type: string
+ *                     pausaFim:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Disponibilidade atualizada com sucesso
+ */
+export const updateDisponibilidade = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { disponibilidades } = req.body;
+
+        if (!podeGerenciarMedico(req, id)) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Você não tem permissão para alterar esta agenda'
+                }
+            });
+        }
+
+        const medico = await buscarMedico(id);
+
+        if (!medico) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Médico não encontrado'
+                }
+            });
+        }
+
+        const [, , novasDisponibilidades] = await prisma.$transaction([
+            prisma.disponibilidadeMedico.deleteMany({ where: { medicoId: id } }),
+            prisma.disponibilidadeMedico.createMany({
+                data: disponibilidades.map((item) => ({
+                    medicoId: id,
+                    diaSemana: item.diaSemana,
+                    horaInicio: item.horaInicio,
+                    horaFim: item.horaFim,
+                    duracaoSlot: item.duracaoSlot,
+                    pausaInicio: item.pausaInicio || null,
+                    pausaFim: item.pausaFim || null
+                }))
+            }),
+            prisma.disponibilidadeMedico.findMany({
+                where: { medicoId: id },
+                orderBy: [{ diaSemana: 'asc' }, { horaInicio: 'asc' }]
+            })
+        ]);
+
+        return res.json({
+            message: 'Disponibilidade atualizada com sucesso',
+            disponibilidades: novasDisponibilidades
+        });
+    } catch (error) {
+        console.error('Erro ao atualizar disponibilidade:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao atualizar disponibilidade'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /medicos/{id}/excecoes:
+ *   post:
+ *     summary: Bloqueia um dia ou faixa de horário na agenda (feriados, férias)
+ *     tags: [Médicos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - dia
+ *             properties:
+ *               dia:
+ *                 type: string
+ *                 format: date
+ *               horaInicio:
+ *                 type: string
+ *               horaFim:
+ *                 type: string
+ *               motivo:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Exceção criada com sucesso
+ */
+export const createExcecao = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { dia, horaInicio, horaFim, motivo } = req.body;
+
+        if (!podeGerenciarMedico(req, id)) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Você não tem permissão para alterar esta agenda'
+                }
+            });
+        }
+
+        const medico = await buscarMedico(id);
+
+        if (!medico) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Médico não encontrado'
+                }
+            });
+        }
+
+        const excecao = await prisma.excecaoAgenda.create({
+            data: {
+                medicoId: id,
+                dia: parseDia(dia),
+                horaInicio: horaInicio || null,
+                horaFim: horaFim || null,
+                motivo
+            }
+        });
+
+        return res.status(201).json({
+            message: 'Exceção criada com sucesso',
+            excecao
+        });
+    } catch (error) {
+        console.error('Erro ao criar exceção de agenda:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao criar exceção de agenda'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /medicos/{id}/excecoes/{excecaoId}:
+ *   delete:
+ *     summary: Remove uma exceção da agenda
+ *     tags: [Médicos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: excecaoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Exceção removida com sucesso
+ */
+export const deleteExcecao = async (req, res) => {
+    try {
+        const { id, excecaoId } = req.params;
+
+        if (!podeGerenciarMedico(req, id)) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Você não tem permissão para alterar esta agenda'
+                }
+            });
+        }
+
+        const excecao = await prisma.excecaoAgenda.findFirst({
+            where: { id: excecaoId, medicoId: id }
+        });
+
+        if (!excecao) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Exceção não encontrada'
+                }
+            });
+        }
+
+        await prisma.excecaoAgenda.delete({
+            where: { id: excecaoId }
+        });
+
+        return res.json({
+            message: 'Exceção removida com sucesso'
+        });
+    } catch (error) {
+        console.error('Erro ao remover exceção de agenda:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao remover exceção de agenda'
+            }
+        });
+    }
+};
@@ -0,0 +1,187 @@
+import prisma from '../config/database.js';
+import { paginar, ordenar, metaPaginacao } from '../utils/listagem.js';
+
+const contarNaoLidas = (usuarioId) => prisma.notificacao.count({
+    where: { usuarioId, lida: false }
+});
+
+/**
+ * @swagger
+ * /notificacoes:
+ *   get:
+ *     summary: Lista as notificações do usuário autenticado
+ *     tags: [Notificações]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: lida
+ *         schema:
+ *           type: boolean
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Order'
+ *     responses:
+ *       200:
+ *         description: Notificações (mais recentes primeiro por padrão), paginação e contagem de não lidas
+ */
+export const listNotificacoes = async (req, res) => {
+    try {
+        const userId = req.userId;
+        const { lida } = req.query;
+
+        let whereClause = { usuarioId: userId };
+
+        if (lida !== undefined) {
+            whereClause.lida = lida;
+        }
+
+        const [notificacoes, total, naoLidas] = await prisma.$transaction([
+            prisma.notificacao.findMany({
+                where: whereClause,
+                orderBy: ordenar(req.query),
+                ...paginar(req.query)
+            }),
+            prisma.notificacao.count({ where: whereClause }),
+            contarNaoLidas(userId)
+        ]);
+
+        return res.json({
+            notificacoes,
+            naoLidas,
+            paginacao: metaPaginacao(res, 'notificacoes', req.query, total, notificacoes.length)
+        });
+    } catch (error) {
+        console.error('Erro ao listar notificações:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao listar notificações'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /notificacoes/nao-lidas:
+ *   get:
+ *     summary: Retorna a quantidade de notificações não lidas (badge)
+ *     tags: [Notificações]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Contagem de não lidas
+ */
+export const countNaoLidas = async (req, res) => {
+    try {
+        const naoLidas = await contarNaoLidas(req.userId);
+
+        return res.json({ naoLidas });
+    } catch (error) {
+        console.error('Erro ao contar notificações:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao contar notificações'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /notificacoes/{id}/lida:
+ *   patch:
+ *     summary: Marca uma notificação como lida
+ *     tags: [Notificações]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notificação marcada como lida
+ */
+export const marcarComoLida = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.userId;
+
+        const notificacao = await prisma.notificacao.findUnique({
+            where: { id }
+        });
+
+        if (!notificacao || notificacao.usuarioId !== userId) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Notificação não encontrada'
+                }
+            });
+        }
+
+        const notificacaoAtualizada = notificacao.lida
+            ? notificacao
+            : await prisma.notificacao.update({
+                where: { id },
+                data: { lida: true, lidaEm: new Date() }
+            });
+
+        const naoLidas = await contarNaoLidas(userId);
+
+        return res.json({
+            message: 'Notificação marcada como lida',
+            notificacao: notificacaoAtualizada,
+            naoLidas
+        });
+    } catch (error) {
+        console.error('Erro ao marcar notificação como lida:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao marcar notificação como lida'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /notificacoes/marcar-todas-lidas:
+ *   post:
+ *     summary: Marca todas as notificações do usuário como lidas
+ *     tags: [Notificações]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notificações marcadas como lidas
+ */
+export const marcarTodasComoLidas = async (req, res) => {
+    try {
+        const { count } = await prisma.notificacao.updateMany({
+            where: { usuarioId: req.userId, lida: false },
+            data: { lida: true, lidaEm: new Date() }
+        });
+
+        return res.json({
+            message: 'Notificações marcadas como lidas',
+            atualizadas: count,
+            naoLidas: 0
+        });
+    } catch (error) {
+        console.error('Erro ao marcar notificações como lidas:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao marcar notificações como lidas'
+            }
+        });
+    }
+};
@@ -0,0 +1,579 @@
+import prisma from '../config/database.js';
+import { paginar, ordenar, filtroPeriodo, metaPaginacao } from '../utils/listagem.js';
+import {
+    dadosPaciente,
+    dadosPerfilPaciente,
+    salvarPerfilPaciente,
+    cpfEmUso,
+    erroCpfEmUso,
+    buscarPacientes
+} from '../services/perfilPacienteService.js';
+import { enviarLinkAtivacao } from '../services/senhaService.js';
+import { registrarAcessoProntuario, registrarAcessosProntuario } from '../services/acessoProntuarioService.js';
+import { anonimizarPaciente } from '../services/anonimizacaoService.js';
+
+// Médico acessa dados clínicos apenas de pacientes que atende (consulta ou exame com ele)
+const atendePaciente = async (medicoId, pacienteId) => {
+    const [consultas, exames] = await Promise.all([
+        prisma.consulta.count({ where: { medicoId, pacienteId } }),
+        prisma.exame.count({ where: { medicoId, pacienteId } })
+    ]);
+
+    return consultas + exames > 0;
+};
+
+// Expõe apenas se o paciente já criou a senha (cadastros da recepção começam sem senha)
+const comStatusAtivacao = ({ senhaHash, ...paciente }) => ({ ...paciente, contaAtivada: senhaHash !== null });
+
+const buscarPaciente = async (id) => {
+    const paciente = await prisma.usuario.findFirst({
+        where: { id, perfil: 'PACIENTE' },
+        select: { ...dadosPaciente, senhaHash: true, anonimizadoEm: true }
+    });
+
+    return paciente && comStatusAtivacao(paciente);
+};
+
+/**
+ * @swagger
+ * /pacientes:
+ *   get:
+ *     summary: Busca pacientes (atendente ou admin)
+ *     description: A busca considera nome (sem diferenciar acentos), email, CPF e telefone.
+ *     tags: [Pacientes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: busca
+ *         schema:
+ *           type: string
+ *           example: joao
+ *       - in: query
+ *         name: ativo
+ *         schema:
+ *           type: boolean
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - in: query
+ *         name: orderBy
+ *         schema:
+ *           type: string
+ *           enum: [nome, criadoEm]
+ *       - $ref: '#/components/parameters/Order'
+ *     responses:
+ *       200:
+ *         description: Pacientes com CPF, telefone, nascimento, convênio e contaAtivada
+ */
+export const listPacientes = async (req, res) => {
+    try {
+        const { busca, ativo } = req.query;
+
+        const dadosListagem = {
+            id: true,
+            nome: true,
+            email: true,
+            ativo: true,
+            senhaHash: true,
+            criadoEm: true,
+            perfilPaciente: {
+                select: {
+                    cpf: true,
+                    telefone: true,
+                    dataNascimento: true,
+                    convenioNome: true
+                }
+            }
+        };
+
+        let pacientes;
+        let total;
+
+        if (busca) {
+            // A busca (acentos, dígitos de CPF/telefone) pagina no SQL; aqui só se carregam os dados da página
+            const encontrados = await buscarPacientes(busca, req.query);
+            const porId = new Map((await prisma.usuario.findMany({
+                where: { id: { in: encontrados.ids } },
+                select: dadosListagem
+            })).map((paciente) => [paciente.id, paciente]));
+
+            pacientes = encontrados.ids.map((id) => porId.get(id)).filter(Boolean);
+            total = encontrados.total;
+        } else {
+            const whereClause = {
+                perfil: 'PACIENTE',
+                ativo
+            };
+
+            [pacientes, total] = await prisma.$transaction([
+                prisma.usuario.findMany({
+                    where: whereClause,
+                    select: dadosListagem,
+                    orderBy: ordenar(req.query),
+                    ...paginar(req.query)
+                }),
+                prisma.usuario.count({ where: whereClause })
+            ]);
+        }
+
+        // A listagem expõe CPF, telefone e nascimento: cada paciente devolvido conta como um acesso
+        await registrarAcessosProntuario(req, pacientes.map((paciente) => ({
+            pacienteId: paciente.id,
+            recurso: 'PerfilPaciente',
+            recursoId: paciente.id
+        })));
+
+        return res.json({
+            pacientes: pacientes.map(comStatusAtivacao),
+            paginacao: metaPaginacao(res, 'pacientes', req.query, total, pacientes.length)
+        });
+    } catch (error) {
+        console.error('Erro ao listar pacientes:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao listar pacientes'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /pacientes:
+ *   post:
+ *     summary: Cadastra um paciente na recepção, sem senha (atendente ou admin)
+ *     description: |
+ *       O paciente recebe por e-mail um link para criar a senha (enviarAtivacao, padrão true).
+ *       Até lá, pode ser agendado normalmente, mas não consegue fazer login.
+ *     tags: [Pacientes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nome
+ *               - email
+ *             properties:
+ *               nome:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               enviarAtivacao:
+ *                 type: boolean
+ *                 default: true
+ *               perfilPaciente:
+ *                 $ref: '#/components/schemas/PerfilPaciente'
+ *     responses:
+ *       201:
+ *         description: Paciente cadastrado
+ *       409:
+ *         description: Email ou CPF já cadastrado
+ */
+export const createPaciente = async (req, res) => {
+    try {
+        const { nome, email, enviarAtivacao, perfilPaciente } = req.body;
+
+        const emailEmUso = await prisma.usuario.findUnique({
+            where: { email }
+        });
+
+        if (emailEmUso) {
+            return res.status(409).json({
+                error: {
+                    code: 'RESOURCE_CONFLICT',
+                    message: 'Email já cadastrado'
+                }
+            });
+        }
+
+        if (perfilPaciente && await cpfEmUso(perfilPaciente.cpf)) {
+            return res.status(409).json({ error: erroCpfEmUso });
+        }
+
+        const paciente = await prisma.usuario.create({
+            data: {
+                nome,
+                email,
+                senhaHash: null,
+                perfil: 'PACIENTE',
+                perfilPaciente: perfilPaciente ? { create: dadosPerfilPaciente(perfilPaciente) } : undefined
+            },
+            select: dadosPaciente
+        });
+
+        if (enviarAtivacao) {
+            await enviarLinkAtivacao(paciente);
+        }
+
+        return res.status(201).json({
+            message: 'Paciente cadastrado com sucesso',
+            paciente: { ...paciente, contaAtivada: false },
+            ativacaoEnviada: enviarAtivacao
+        });
+    } catch (error) {
+        console.error('Erro ao cadastrar paciente:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao cadastrar paciente'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /pacientes/{id}/enviar-ativacao:
+ *   post:
+ *     summary: Envia (ou reenvia) o link de ativação a um paciente sem senha (atendente ou admin)
+ *     description: Um novo link invalida os anteriores.
+ *     tags: [Pacientes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Link enviado
+ *       409:
+ *         description: Conta já ativada ou paciente inativo
+ */
+export const enviarAtivacao = async (req, res) => {
+    try {
+        const paciente = await buscarPaciente(req.params.id);
+
+        if (!paciente) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Paciente não encontrado'
+                }
+            });
+        }
+
+        if (paciente.contaAtivada || !paciente.ativo) {
+            return res.status(409).json({
+                error: {
+                    code: 'RESOURCE_CONFLICT',
+                    message: paciente.ativo ? 'O paciente já ativou a conta' : 'Paciente inativo'
+                }
+            });
+        }
+
+        await enviarLinkAtivacao(paciente);
+
+        return res.json({
+            message: 'Link de ativação enviado'
+        });
+    } catch (error) {
+        console.error('Erro ao enviar ativação:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao enviar ativação'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /pacientes/{id}/anonimizar:
+ *   post:
+ *     summary: Anonimiza um paciente com a conta desativada (admin)
+ *     description: |
+ *       Atende pedidos de eliminação de dados (LGPD). Apaga nome, email, CPF, contatos, endereço,
+ *       anexos de resultados, links de compartilhamento, dispositivos e sessões; a data de nascimento
+ *       fica só com o ano. Consultas, exames, resultados e analitos são mantidos para estatística.
+ *       Não pode ser desfeita.
+ *     tags: [Pacientes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Paciente anonimizado
+ *       409:
+ *         description: Conta ainda ativa ou paciente já anonimizado
+ */
+export const anonimizar = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const anonimizacao = await anonimizarPaciente(id, req.userId);
+
+        if (anonimizacao.error) {
+            return res.status(anonimizacao.status).json({ error: anonimizacao.error });
+        }
+
+        return res.json({
+            message: 'Paciente anonimizado com sucesso',
+            ...anonimizacao
+        });
+    } catch (error) {
+        console.error('Erro ao anonimizar paciente:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao anonimizar paciente'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /pacientes/{id}:
+ *   get:
+ *     summary: Retorna o cadastro de um paciente (atendente ou admin)
+ *     tags: [Pacientes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Paciente com o perfil (perfilPaciente nulo se ainda não preenchido)
+ *       404:
+ *         description: Paciente não encontrado
+ */
+export const getPaciente = async (req, res) => {
+    try {
+        const paciente = await buscarPaciente(req.params.id);
+
+        if (!paciente) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Paciente não encontrado'
+                }
+            });
+        }
+
+        await registrarAcessoProntuario(req, { pacienteId: paciente.id, recurso: 'PerfilPaciente', recursoId: paciente.id });
+
+        return res.json({ paciente });
+    } catch (error) {
+        console.error('Erro ao buscar paciente:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao buscar paciente'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /pacientes/{id}:
+ *   put:
+ *     summary: Preenche ou substitui o cadastro de um paciente (atendente ou admin)
+ *     tags: [Pacientes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PerfilPaciente'
+ *     responses:
+ *       200:
+ *         description: Cadastro salvo com sucesso
+ *       409:
+ *         description: CPF já cadastrado para outro paciente ou paciente anonimizado
+ */
+export const updatePaciente = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const paciente = await buscarPaciente(id);
+
+        if (!paciente) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Paciente não encontrado'
+                }
+            });
+        }
+
+        if (paciente.anonimizadoEm) {
+            return res.status(409).json({
+                error: {
+                    code: 'RESOURCE_CONFLICT',
+                    message: 'Paciente anonimizado não pode ser alterado'
+                }
+            });
+        }
+
+        const cadastro = await salvarPerfilPaciente(id, req.body);
+
+        if (cadastro.error) {
+            return res.status(cadastro.status).json({ error: cadastro.error });
+        }
+
+        return res.json({
+            message: 'Cadastro salvo com sucesso',
+            paciente: { ...paciente, perfilPaciente: cadastro.perfilPaciente }
+        });
+    } catch (error) {
+        console.error('Erro ao salvar cadastro do paciente:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao salvar cadastro do paciente'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /pacientes/{id}/analitos/{codigo}/historico:
+ *   get:
+ *     summary: Série temporal de um analito do paciente (para gráficos de tendência)
+ *     description: |
+ *       Usa apenas a versão vigente dos resultados liberados; a data de cada ponto é a do exame.
+ *       Paciente consulta apenas o próprio histórico; médico, apenas de pacientes que atende.
+ *     tags: [Pacientes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: codigo
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: HGB
+ *       - in: query
+ *         name: de
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: ate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Pontos em ordem cronológica
+ */
+export const getHistoricoAnalito = async (req, res) => {
+    try {
+        const { id, codigo } = req.params;
+        const { de, ate } = req.query;
+        const userPerfil = req.userPerfil;
+        const userId = req.userId;
+
+        // Verifica permissões
+        if (userPerfil === 'PACIENTE' && id !== userId) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Você não tem permissão para acessar os dados deste paciente'
+                }
+            });
+        }
+
+        if (userPerfil === 'ATENDENTE' || (userPerfil === 'MEDICO' && !(await atendePaciente(userId, id)))) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Você não tem permissão para acessar os dados deste paciente'
+                }
+            });
+        }
+
+        const valores = await prisma.valorAnalito.findMany({
+            where: {
+                codigo,
+                resultado: {
+                    pacienteId: id,
+                    status: 'PUBLICADO',
+                    publicadoEm: { lte: new Date() },
+                    exame: { dataHora: filtroPeriodo({ de, ate }) }
+                }
+            },
+            include: {
+                resultado: {
+                    select: {
+                        id: true,
+                        versao: true,
+                        exame: {
+                            select: {
+                                id: true,
+                                nome: true,
+                                dataHora: true
+                            }
+                        }
+                    }
+                }
+            },
+            orderBy: { resultado: { exame: { dataHora: 'asc' } } }
+        });
+
+        await registrarAcessoProntuario(req, { pacienteId: id, recurso: 'HistoricoAnalito', recursoId: codigo });
+
+        const ultimo = valores[valores.length - 1];
+
+        return res.json({
+            analito: {
+                codigo,
+                nome: ultimo?.nome ?? null,
+                unidade: ultimo?.unidade ?? null
+            },
+            pontos: valores.map(({ resultado, ...valor }) => ({
+                data: resultado.exame.dataHora,
+                valor: valor.valor,
+                valorTexto: valor.valorTexto,
+                unidade: valor.unidade,
+                referenciaMin: valor.referenciaMin,
+                referenciaMax: valor.referenciaMax,
+                sinalizacao: valor.sinalizacao,
+                resultadoId: resultado.id,
+                versao: resultado.versao,
+                exame: { id: resultado.exame.id, nome: resultado.exame.nome }
+            }))
+        });
+    } catch (error) {
+        console.error('Erro ao buscar histórico do analito:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao buscar histórico do analito'
+            }
+        });
+    }
+};
@@ -32,26 +32,6 @@ export const registerPushToken = async (req, res) => {
         const { token, plataforma } = req.body;
         const userId = req.userId;
 
-        // Validação básica
-        if (!token || !plataforma) {
-            return res.status(400).json({
-                error: {
-                    code: 'VALIDATION_ERROR',
-                    message: 'Token e plataforma são obrigatórios'
-                }
-            });
-        }
-
-        const plataformasValidas = ['ios', 'android', 'web'];
-        if (!plataformasValidas.includes(plataforma)) {
-            return res.status(400).json({
-                error: {
-                    code: 'VALIDATION_ERROR',
-                    message: 'Plataforma inválida'
-                }
-            });
-        }
-
         // Verifica se o token já existe
         const tokenExistente = await prisma.pushToken.findUnique({
             where: { token }
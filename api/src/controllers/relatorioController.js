@@ -0,0 +1,43 @@
+import { gerarRelatorioCancelamentos } from '../services/cancelamentoService.js';
+
+/**
+ * @swagger
+ * /relatorios/cancelamentos:
+ *   get:
+ *     summary: Cancelamentos de consultas e exames por motivo (admin)
+ *     tags: [Relatórios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: de
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: ate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Relatório de cancelamentos
+ */
+export const getRelatorioCancelamentos = async (req, res) => {
+    try {
+        // Período já normalizado pelo schema (padrão: últimos 30 dias; "ate" exclusivo)
+        const { de, ate } = req.query;
+
+        const relatorio = await gerarRelatorioCancelamentos({ de, ate });
+
+        return res.json({ relatorio });
+    } catch (error) {
+        console.error('Erro ao gerar relatório de cancelamentos:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao gerar relatório de cancelamentos'
+            }
+        });
+    }
+};
@@ -1,10 +1,71 @@
+import crypto from 'crypto';
 import prisma from '../config/database.js';
+import { validarTransicao, erroTransicao } from '../services/statusService.js';
+import { buscarTipoExame, montarValores, incluirValores } from '../services/analitoService.js';
+import {
+    notificarAgendamento,
+    notificarResultado,
+    notificarRevisaoSolicitada,
+    notificarRevisaoConcluida
+} from '../services/notificacaoService.js';
+import {
+    incluirResultado,
+    filtroLiberado,
+    estaLiberado,
+    enviarParaRevisao,
+    registrarRevisao,
+    liberarResultado,
+    criarRetificacao,
+    listarVersoes,
+    travarComStatus
+} from '../services/resultadoService.js';
+import { registrarAcessoProntuario, registrarAcessosProntuario } from '../services/acessoProntuarioService.js';
+import { paginar, ordenar, filtroPeriodo, metaPaginacao } from '../utils/listagem.js';
+import { detectarTipoArquivo, transmitirArquivo, TIPOS_ARQUIVO_PERMITIDOS } from '../utils/arquivos.js';
+import { gerarChave, salvarArquivo, removerArquivo } from '../services/armazenamentoService.js';
+
+// Metadados dos anexos devolvidos pela API (a chave de armazenamento não é exposta)
+const camposArquivo = {
+    id: true,
+    nomeOriginal: true,
+    mimeType: true,
+    tamanho: true,
+    criadoEm: true
+};
+
+// Apenas o médico responsável pelo resultado ou um admin edita, anexa arquivos e publica
+const podeGerenciarResultado = (req, resultado) => {
+    return req.userPerfil === 'ADMIN' || (req.userPerfil === 'MEDICO' && resultado.medicoId === req.userId);
+};
+
+// Rascunho publicado ou enviado para revisão entre a leitura e a escrita
+const erroRascunhoAlterado = {
+    code: 'RESOURCE_CONFLICT',
+    message: 'O resultado deixou de ser um rascunho; recarregue e tente novamente'
+};
+
+// Leitura: paciente dono (só depois da liberação), médico responsável ou revisor, atendente e admin
+const podeVerResultado = (req, resultado) => {
+    if (req.userPerfil === 'PACIENTE') {
+        return resultado.pacienteId === req.userId && estaLiberado(resultado);
+    }
+
+    if (req.userPerfil === 'MEDICO') {
+        return resultado.medicoId === req.userId || resultado.revisorId === req.userId;
+    }
+
+    return true;
+};
 
 /**
  * @swagger
  * /resultados:
  *   post:
- *     summary: Cria um novo resultado de exame
+ *     summary: Cria um novo resultado de exame como rascunho (não visível ao paciente)
+ *     description: |
+ *       Paciente e médico são os do exame. Apenas o médico do exame ou um admin registra o resultado,
+ *       e somente para exames REALIZADA; um exame AGENDADA cujo horário já passou é marcado
+ *       como REALIZADA automaticamente.
  *     tags: [Resultados]
  *     security:
  *       - bearerAuth: []
@@ -16,37 +77,30 @@ import prisma from '../config/database.js';
  *             type: object
  *             required:
  *               - exameId
- *               - pacienteId
- *               - medicoId
  *             properties:
  *               exameId:
  *                 type: string
- *               pacienteId:
- *                 type: string
- *               medicoId:
- *                 type: string
  *               detalhes:
  *                 type: string
  *               arquivoUrl:
  *                 type: string
+ *               analitos:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ValorAnalito'
  *     responses:
  *       201:
- *         description: Resultado criado com sucesso
+ *         description: Rascunho criado com sucesso
+ *       403:
+ *         description: O exame é de outro médico
+ *       409:
+ *         description: Exame cancelado, sem comparecimento ou ainda por acontecer (INVALID_STATUS_TRANSITION)
  */
 export const createResultado = async (req, res) => {
     try {
-        const { exameId, pacienteId, medicoId, detalhes, arquivoUrl } = req.body;
+        const { exameId, detalhes, arquivoUrl, analitos } = req.body;
         const userPerfil = req.userPerfil;
-
-        // Validação básica
-        if (!exameId || !pacienteId || !medicoId) {
-            return res.status(400).json({
-                error: {
-                    code: 'VALIDATION_ERROR',
-                    message: 'Exame, paciente e médico são obrigatórios'
-                }
-            });
-        }
+        const userId = req.userId;
 
         // Apenas médicos e admins podem criar resultados
         if (!['MEDICO', 'ADMIN'].includes(userPerfil)) {
@@ -72,40 +126,69 @@ export const createResultado = async (req, res) => {
             });
         }
 
-        // Cria o resultado
-        const resultado = await prisma.resultadoExame.create({
-            data: {
-                exameId,
-                pacienteId,
-                medicoId,
-                detalhes,
-                arquivoUrl
-            },
-            include: {
-                exame: {
-                    select: {
-                        id: true,
-                        nome: true
-                    }
-                },
-                paciente: {
-                    select: {
-                        id: true,
-                        nome: true,
-                        email: true
-                    }
-                },
-                medico: {
-                    select: {
-                        id: true,
-                        nome: true
-                    }
+        if (userPerfil === 'MEDICO' && exame.medicoId !== userId) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Apenas o médico do exame pode registrar o seu resultado'
                 }
+            });
+        }
+
+        // Exame agendado cujo horário já passou: o registro do resultado o marca como realizado
+        const realizarExame = exame.status === 'AGENDADA';
+
+        if (realizarExame) {
+            const motivoRecusa = validarTransicao({ agendamento: exame, novoStatus: 'REALIZADA', perfil: userPerfil }) ??
+                (new Date() < exame.dataHora ? 'O resultado só pode ser registrado após o horário do exame' : null);
+
+            if (motivoRecusa) {
+                return res.status(409).json({ error: erroTransicao(exame, 'REALIZADA', motivoRecusa) });
             }
+        } else if (exame.status !== 'REALIZADA') {
+            return res.status(409).json({
+                error: {
+                    code: 'INVALID_STATUS_TRANSITION',
+                    message: 'Resultados só podem ser registrados para exames realizados',
+                    details: { statusAtual: exame.status }
+                }
+            });
+        }
+
+        // Analitos conferidos contra o catálogo do tipo de exame
+        const montagem = analitos ? montarValores(analitos, await buscarTipoExame(exame)) : { valores: [] };
+
+        if (montagem.error) {
+            return res.status(montagem.status).json({ error: montagem.error });
+        }
+
+        // Cria o resultado como rascunho; paciente e médico vêm do exame, nunca do corpo
+        const [resultado, exameRealizado] = await prisma.$transaction(async (tx) => {
+            const exameAtualizado = realizarExame
+                ? await tx.exame.update({ where: { id: exameId }, data: { status: 'REALIZADA' } })
+                : null;
+
+            const criado = await tx.resultadoExame.create({
+                data: {
+                    exameId,
+                    pacienteId: exame.pacienteId,
+                    medicoId: exame.medicoId,
+                    detalhes,
+                    arquivoUrl,
+                    valores: { create: montagem.valores }
+                },
+                include: incluirResultado
+            });
+
+            return [criado, exameAtualizado];
         });
 
+        if (exameRealizado) {
+            notificarAgendamento('STATUS_ALTERADO', 'EXAME', exameRealizado);
+        }
+
         return res.status(201).json({
-            message: 'Resultado criado com sucesso',
+            message: 'Rascunho de resultado criado com sucesso',
             resultado
         });
     } catch (error) {
@@ -123,60 +206,121 @@ export const createResultado = async (req, res) => {
  * @swagger
  * /resultados:
  *   get:
- *     summary: Lista resultados de exames
+ *     summary: Lista resultados de exames (paginado, com filtros)
+ *     description: Pacientes veem apenas a versão vigente dos resultados já liberados.
  *     tags: [Resultados]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [RASCUNHO, AGUARDANDO_REVISAO, PUBLICADO, RETIFICADO]
+ *       - in: query
+ *         name: exameId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: medicoId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: pacienteId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: de
+ *         description: Publicados a partir de (inclusivo)
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: ate
+ *         description: Publicados até (inclusivo)
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - in: query
+ *         name: orderBy
+ *         schema:
+ *           type: string
+ *           enum: [publicadoEm, criadoEm]
+ *           default: publicadoEm
+ *       - $ref: '#/components/parameters/Order'
  *     responses:
  *       200:
- *         description: Lista de resultados
+ *         description: Lista paginada de resultados (total no cabeçalho Content-Range)
  */
 export const listResultados = async (req, res) => {
     try {
         const userPerfil = req.userPerfil;
         const userId = req.userId;
+        const { exameId, medicoId, pacienteId, status, de, ate } = req.query;
 
-        let whereClause = {};
+        let whereClause = {
+            exameId,
+            medicoId,
+            pacienteId,
+            status,
+            publicadoEm: filtroPeriodo({ de, ate })
+        };
 
         // Filtro por perfil
         if (userPerfil === 'PACIENTE') {
+            // Rascunhos e liberações agendadas ficam ocultos; versões retificadas só em /versoes
             whereClause.pacienteId = userId;
+            whereClause.status = status ?? 'PUBLICADO';
+            whereClause.AND = [filtroLiberado()];
         } else if (userPerfil === 'MEDICO') {
-            whereClause.medicoId = userId;
+            whereClause.OR = [{ medicoId: userId }, { revisorId: userId }];
         }
         // Admin vê todos
 
-        const resultados = await prisma.resultadoExame.findMany({
-            where: whereClause,
-            include: {
-                exame: {
-                    select: {
-                        id: true,
-                        nome: true,
-                        dia: true,
-                        hora: true
-                    }
-                },
-                paciente: {
-                    select: {
-                        id: true,
-                        nome: true,
-                        email: true
+        const [resultados, total] = await prisma.$transaction([
+            prisma.resultadoExame.findMany({
+                where: whereClause,
+                include: {
+                    exame: {
+                        select: {
+                            id: true,
+                            nome: true,
+                            dia: true,
+                            hora: true
+                        }
+                    },
+                    paciente: {
+                        select: {
+                            id: true,
+                            nome: true,
+                            email: true
+                        }
+                    },
+                    medico: {
+                        select: {
+                            id: true,
+                            nome: true
+                        }
+                    },
+                    revisor: {
+                        select: {
+                            id: true,
+                            nome: true
+                        }
                     }
                 },
-                medico: {
-                    select: {
-                        id: true,
-                        nome: true
-                    }
-                }
-            },
-            orderBy: {
-                publicadoEm: 'desc'
-            }
-        });
+                orderBy: ordenar(req.query),
+                ...paginar(req.query)
+            }),
+            prisma.resultadoExame.count({ where: whereClause })
+        ]);
 
-        return res.json({ resultados });
+        return res.json({
+            resultados,
+            paginacao: metaPaginacao(res, 'resultados', req.query, total, resultados.length)
+        });
     } catch (error) {
         console.error('Erro ao listar resultados:', error);
         return res.status(500).json({
@@ -235,7 +379,31 @@ export const getResultado = async (req, res) => {
                         id: true,
                         nome: true
                     }
-                }
+                },
+                revisor: {
+                    select: {
+                        id: true,
+                        nome: true
+                    }
+                },
+                retifica: {
+                    select: {
+                        id: true,
+                        versao: true
+                    }
+                },
+                retificadoPor: {
+                    select: {
+                        id: true,
+                        versao: true,
+                        status: true
+                    }
+                },
+                arquivos: {
+                    select: camposArquivo,
+                    orderBy: { criadoEm: 'asc' }
+                },
+                valores: incluirValores
             }
         });
 
@@ -248,17 +416,18 @@ export const getResultado = async (req, res) => {
             });
         }
 
-        // Verifica permissões
-        if (userPerfil === 'PACIENTE' && resultado.pacienteId !== userId) {
-            return res.status(403).json({
+        // Para o paciente, um resultado ainda não liberado não existe
+        if (userPerfil === 'PACIENTE' && resultado.pacienteId === userId && !estaLiberado(resultado)) {
+            return res.status(404).json({
                 error: {
-                    code: 'AUTH_FORBIDDEN',
-                    message: 'Você não tem permissão para acessar este resultado'
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Resultado não encontrado'
                 }
             });
         }
 
-        if (userPerfil === 'MEDICO' && resultado.medicoId !== userId) {
+        // Verifica permissões
+        if (!podeVerResultado(req, resultado)) {
             return res.status(403).json({
                 error: {
                     code: 'AUTH_FORBIDDEN',
@@ -267,6 +436,13 @@ export const getResultado = async (req, res) => {
             });
         }
 
+        // Rascunhos da retificação não são expostos ao paciente
+        if (userPerfil === 'PACIENTE' && resultado.retificadoPor && !estaLiberado(resultado.retificadoPor)) {
+            resultado.retificadoPor = null;
+        }
+
+        await registrarAcessoProntuario(req, { pacienteId: resultado.pacienteId, recurso: 'ResultadoExame', recursoId: resultado.id });
+
         return res.json({ resultado });
     } catch (error) {
         console.error('Erro ao buscar resultado:', error);
@@ -278,3 +454,910 @@ export const getResultado = async (req, res) => {
         });
     }
 };
+
+/**
+ * @swagger
+ * /resultados/{id}:
+ *   put:
+ *     summary: Edita um rascunho de resultado (médico responsável ou admin)
+ *     tags: [Resultados]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               detalhes:
+ *                 type: string
+ *               arquivoUrl:
+ *                 type: string
+ *                 nullable: true
+ *               analitos:
+ *                 type: array
+ *                 description: Substitui todos os analitos do rascunho
+ *                 items:
+ *                   $ref: '#/components/schemas/ValorAnalito'
+ *     responses:
+ *       200:
+ *         description: Rascunho atualizado com sucesso
+ *       409:
+ *         description: O resultado não é mais um rascunho (INVALID_STATUS_TRANSITION) ou alterado por outra requisição (RESOURCE_CONFLICT)
+ */
+export const updateResultado = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { detalhes, arquivoUrl, analitos } = req.body;
+
+        const resultado = await prisma.resultadoExame.findUnique({
+            where: { id },
+            include: {
+                exame: {
+                    select: {
+                        nome: true,
+                        tipoExameId: true
+                    }
+                }
+            }
+        });
+
+        if (!resultado) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Resultado não encontrado'
+                }
+            });
+        }
+
+        if (!podeGerenciarResultado(req, resultado)) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Você não tem permissão para editar este resultado'
+                }
+            });
+        }
+
+        // Depois de enviado para revisão ou publicado, o conteúdo só muda por retificação
+        if (resultado.status !== 'RASCUNHO') {
+            return res.status(409).json({
+                error: {
+                    code: 'INVALID_STATUS_TRANSITION',
+                    message: 'Apenas rascunhos podem ser editados',
+                    details: { statusAtual: resultado.status }
+                }
+            });
+        }
+
+        let valores;
+        if (analitos) {
+            const montagem = montarValores(analitos, await buscarTipoExame(resultado.exame));
+
+            if (montagem.error) {
+                return res.status(montagem.status).json({ error: montagem.error });
+            }
+
+            valores = { deleteMany: {}, create: montagem.valores };
+        }
+
+        const resultadoAtualizado = await prisma.$transaction(async (tx) => {
+            if (!(await travarComStatus(tx, id, 'RASCUNHO'))) return null;
+
+            return tx.resultadoExame.update({
+                where: { id },
+                data: {
+                    detalhes,
+                    arquivoUrl,
+                    valores
+                },
+                include: incluirResultado
+            });
+        });
+
+        if (!resultadoAtualizado) {
+            return res.status(409).json({ error: erroRascunhoAlterado });
+        }
+
+        return res.json({
+            message: 'Rascunho atualizado com sucesso',
+            resultado: resultadoAtualizado
+        });
+    } catch (error) {
+        console.error('Erro ao atualizar resultado:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao atualizar resultado'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /resultados/{id}/solicitar-revisao:
+ *   post:
+ *     summary: Envia o rascunho para co-assinatura de outro médico
+ *     tags: [Resultados]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - revisorId
+ *             properties:
+ *               revisorId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Resultado aguardando revisão
+ *       409:
+ *         description: O resultado não é um rascunho (INVALID_STATUS_TRANSITION) ou alterado por outra requisição (RESOURCE_CONFLICT)
+ */
+export const solicitarRevisaoResultado = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { revisorId } = req.body;
+
+        const resultado = await prisma.resultadoExame.findUnique({
+            where: { id }
+        });
+
+        if (!resultado) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Resultado não encontrado'
+                }
+            });
+        }
+
+        if (!podeGerenciarResultado(req, resultado)) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Você não tem permissão para enviar este resultado para revisão'
+                }
+            });
+        }
+
+        const revisao = await enviarParaRevisao(resultado, revisorId);
+
+        if (revisao.error) {
+            return res.status(revisao.status).json({ error: revisao.error });
+        }
+
+        notificarRevisaoSolicitada(revisao.registro);
+
+        return res.json({
+            message: 'Resultado enviado para revisão',
+            resultado: revisao.registro
+        });
+    } catch (error) {
+        console.error('Erro ao solicitar revisão do resultado:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao solicitar revisão do resultado'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /resultados/{id}/revisar:
+ *   post:
+ *     summary: Aprova (co-assina) ou devolve o resultado (apenas o médico revisor)
+ *     tags: [Resultados]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - aprovado
+ *             properties:
+ *               aprovado:
+ *                 type: boolean
+ *               comentario:
+ *                 type: string
+ *                 description: Obrigatório ao devolver o resultado
+ *     responses:
+ *       200:
+ *         description: Parecer registrado
+ *       409:
+ *         description: O resultado não está aguardando revisão (INVALID_STATUS_TRANSITION) ou alterado por outra requisição (RESOURCE_CONFLICT)
+ */
+export const revisarResultado = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { aprovado, comentario } = req.body;
+
+        const resultado = await prisma.resultadoExame.findUnique({
+            where: { id }
+        });
+
+        if (!resultado) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Resultado não encontrado'
+                }
+            });
+        }
+
+        if (resultado.revisorId !== req.userId) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Apenas o médico revisor pode revisar este resultado'
+                }
+            });
+        }
+
+        const revisao = await registrarRevisao(resultado, { aprovado, comentario });
+
+        if (revisao.error) {
+            return res.status(revisao.status).json({ error: revisao.error });
+        }
+
+        notificarRevisaoConcluida(revisao.registro, aprovado);
+
+        return res.json({
+            message: aprovado ? 'Resultado aprovado na revisão' : 'Resultado devolvido ao médico responsável',
+            resultado: revisao.registro
+        });
+    } catch (error) {
+        console.error('Erro ao revisar resultado:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao revisar resultado'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /resultados/{id}/publicar:
+ *   post:
+ *     summary: Libera o resultado ao paciente, agora ou em uma data agendada
+ *     description: |
+ *       Rascunhos enviados para revisão só podem ser publicados depois da aprovação do revisor.
+ *       Publicar uma retificação marca a versão anterior como RETIFICADO.
+ *     tags: [Resultados]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               publicarEm:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Liberação agendada (não permitida em retificações)
+ *     responses:
+ *       200:
+ *         description: Resultado publicado
+ *       409:
+ *         description: Resultado já publicado ou aguardando revisão (INVALID_STATUS_TRANSITION) ou alterado por outra requisição (RESOURCE_CONFLICT)
+ */
+export const publicarResultado = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { publicarEm } = req.body;
+
+        const resultado = await prisma.resultadoExame.findUnique({
+            where: { id }
+        });
+
+        if (!resultado) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Resultado não encontrado'
+                }
+            });
+        }
+
+        if (!podeGerenciarResultado(req, resultado)) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Você não tem permissão para publicar este resultado'
+                }
+            });
+        }
+
+        const publicacao = await liberarResultado(resultado, { publicarEm });
+
+        if (publicacao.error) {
+            return res.status(publicacao.status).json({ error: publicacao.error });
+        }
+
+        // Liberação agendada: o paciente é avisado pelo job quando a data chegar
+        if (publicacao.registro.notificadoEm) {
+            notificarResultado(publicacao.registro);
+        }
+
+        return res.json({
+            message: publicacao.registro.notificadoEm
+                ? 'Resultado publicado com sucesso'
+                : 'Publicação do resultado agendada com sucesso',
+            resultado: publicacao.registro
+        });
+    } catch (error) {
+        console.error('Erro ao publicar resultado:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao publicar resultado'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /resultados/{id}/retificar:
+ *   post:
+ *     summary: Cria uma retificação (nova versão em rascunho) de um resultado publicado
+ *     description: A versão publicada continua visível ao paciente até a retificação ser publicada.
+ *     tags: [Resultados]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - motivo
+ *             properties:
+ *               motivo:
+ *                 type: string
+ *               detalhes:
+ *                 type: string
+ *                 description: Padrão - detalhes da versão retificada
+ *               arquivoUrl:
+ *                 type: string
+ *               analitos:
+ *                 type: array
+ *                 description: Padrão - analitos da versão retificada
+ *                 items:
+ *                   $ref: '#/components/schemas/ValorAnalito'
+ *     responses:
+ *       201:
+ *         description: Retificação criada como rascunho
+ *       409:
+ *         description: Resultado não publicado (INVALID_STATUS_TRANSITION) ou já retificado (RESOURCE_CONFLICT)
+ */
+export const retificarResultado = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { detalhes, arquivoUrl, analitos, motivo } = req.body;
+
+        const resultado = await prisma.resultadoExame.findUnique({
+            where: { id },
+            include: {
+                exame: {
+                    select: {
+                        nome: true,
+                        tipoExameId: true
+                    }
+                }
+            }
+        });
+
+        if (!resultado) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Resultado não encontrado'
+                }
+            });
+        }
+
+        if (!podeGerenciarResultado(req, resultado)) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Você não tem permissão para retificar este resultado'
+                }
+            });
+        }
+
+        let valores;
+        if (analitos) {
+            const montagem = montarValores(analitos, await buscarTipoExame(resultado.exame));
+
+            if (montagem.error) {
+                return res.status(montagem.status).json({ error: montagem.error });
+            }
+
+            valores = montagem.valores;
+        }
+
+        const retificacao = await criarRetificacao(resultado, { detalhes, arquivoUrl, motivo, valores });
+
+        if (retificacao.error) {
+            return res.status(retificacao.status).json({ error: retificacao.error });
+        }
+
+        return res.status(201).json({
+            message: 'Retificação criada como rascunho',
+            resultado: retificacao.registro
+        });
+    } catch (error) {
+        console.error('Erro ao retificar resultado:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao retificar resultado'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /resultados/{id}/versoes:
+ *   get:
+ *     summary: Lista todas as versões (original e retificações) do resultado
+ *     description: Pacientes veem apenas as versões já liberadas.
+ *     tags: [Resultados]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Versões da mais antiga para a mais recente
+ */
+export const getVersoesResultado = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userPerfil = req.userPerfil;
+
+        const resultado = await prisma.resultadoExame.findUnique({
+            where: { id }
+        });
+
+        if (!resultado || (userPerfil === 'PACIENTE' && resultado.pacienteId === req.userId && !estaLiberado(resultado))) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Resultado não encontrado'
+                }
+            });
+        }
+
+        if (!podeVerResultado(req, resultado)) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Você não tem permissão para acessar este resultado'
+                }
+            });
+        }
+
+        const versoes = await listarVersoes(resultado);
+
+        await registrarAcessosProntuario(req, versoes.map((versao) => ({
+            pacienteId: resultado.pacienteId,
+            recurso: 'ResultadoExame',
+            recursoId: versao.id
+        })));
+
+        return res.json({
+            versoes: userPerfil === 'PACIENTE'
+                ? versoes.filter((versao) => estaLiberado(versao))
+                : versoes
+        });
+    } catch (error) {
+        console.error('Erro ao listar versões do resultado:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao listar versões do resultado'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /resultados/{id}/arquivos:
+ *   post:
+ *     summary: Anexa arquivos (PDF, PNG ou JPEG) a um resultado
+ *     tags: [Resultados]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - arquivos
+ *             properties:
+ *               arquivos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Arquivos anexados com sucesso
+ *       409:
+ *         description: O resultado não é um rascunho (INVALID_STATUS_TRANSITION) ou deixou de ser durante o envio (RESOURCE_CONFLICT)
+ *       413:
+ *         description: Arquivo acima do tamanho máximo (FILE_TOO_LARGE)
+ *       415:
+ *         description: Tipo de arquivo não permitido (UNSUPPORTED_MEDIA_TYPE)
+ */
+export const uploadArquivos = async (req, res) => {
+    const chavesSalvas = [];
+
+    try {
+        const { id } = req.params;
+        const arquivos = req.files || [];
+
+        const resultado = await prisma.resultadoExame.findUnique({
+            where: { id }
+        });
+
+        if (!resultado) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Resultado não encontrado'
+                }
+            });
+        }
+
+        if (!podeGerenciarResultado(req, resultado)) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Você não tem permissão para anexar arquivos a este resultado'
+                }
+            });
+        }
+
+        if (resultado.status !== 'RASCUNHO') {
+            return res.status(409).json({
+                error: {
+                    code: 'INVALID_STATUS_TRANSITION',
+                    message: 'Arquivos só podem ser anexados a rascunhos (use a retificação)',
+                    details: { statusAtual: resultado.status }
+                }
+            });
+        }
+
+        if (arquivos.length === 0) {
+            return res.status(400).json({
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'Envie ao menos um arquivo no campo "arquivos"'
+                }
+            });
+        }
+
+        // O tipo é conferido pelo conteúdo; o Content-Type informado pelo cliente não é confiável
+        const tipos = arquivos.map((arquivo) => detectarTipoArquivo(arquivo.buffer));
+        const invalido = arquivos.find((arquivo, indice) => !tipos[indice]);
+
+        if (invalido) {
+            return res.status(415).json({
+                error: {
+                    code: 'UNSUPPORTED_MEDIA_TYPE',
+                    message: 'Tipo de arquivo não permitido',
+                    details: {
+                        arquivo: invalido.originalname,
+                        tiposPermitidos: TIPOS_ARQUIVO_PERMITIDOS
+                    }
+                }
+            });
+        }
+
+        const dados = [];
+        for (const [indice, arquivo] of arquivos.entries()) {
+            const chave = gerarChave(`resultados/${id}`, tipos[indice].extensao);
+            await salvarArquivo(chave, arquivo.buffer);
+            chavesSalvas.push(chave);
+
+            dados.push({
+                resultadoId: id,
+                nomeOriginal: arquivo.originalname.slice(0, 255),
+                mimeType: tipos[indice].mimeType,
+                tamanho: arquivo.size,
+                chave,
+                hashSha256: crypto.createHash('sha256').update(arquivo.buffer).digest('hex'),
+                enviadoPorId: req.userId
+            });
+        }
+
+        const anexos = await prisma.$transaction(async (tx) => {
+            if (!(await travarComStatus(tx, id, 'RASCUNHO'))) return null;
+
+            const criados = [];
+            for (const data of dados) {
+                criados.push(await tx.arquivoResultado.create({ data, select: camposArquivo }));
+            }
+            return criados;
+        });
+
+        if (!anexos) {
+            await Promise.all(chavesSalvas.map((chave) => removerArquivo(chave).catch(() => {})));
+            return res.status(409).json({ error: erroRascunhoAlterado });
+        }
+
+        return res.status(201).json({
+            message: 'Arquivos anexados com sucesso',
+            arquivos: anexos
+        });
+    } catch (error) {
+        // Não deixa arquivos órfãos no armazenamento se o registro falhar
+        await Promise.all(chavesSalvas.map((chave) => removerArquivo(chave).catch(() => {})));
+
+        console.error('Erro ao anexar arquivos:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao anexar arquivos'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /resultados/{id}/arquivos/{arquivoId}:
+ *   get:
+ *     summary: Baixa um arquivo do resultado (paciente dono após a liberação, médicos do resultado, atendente ou admin)
+ *     tags: [Resultados]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: arquivoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conteúdo do arquivo
+ *         content:
+ *           application/pdf: {}
+ *           image/png: {}
+ *           image/jpeg: {}
+ *       404:
+ *         description: Arquivo não encontrado
+ */
+export const downloadArquivo = async (req, res) => {
+    try {
+        const { id, arquivoId } = req.params;
+
+        const arquivo = await prisma.arquivoResultado.findFirst({
+            where: { id: arquivoId, resultadoId: id },
+            include: {
+                resultado: {
+                    select: {
+                        pacienteId: true,
+                        medicoId: true,
+                        revisorId: true,
+                        status: true,
+                        publicadoEm: true
+                    }
+                }
+            }
+        });
+
+        if (!arquivo) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Arquivo não encontrado'
+                }
+            });
+        }
+
+        // Como em getResultado: para o paciente, um resultado ainda não liberado não existe
+        if (req.userPerfil === 'PACIENTE' && arquivo.resultado.pacienteId === req.userId && !estaLiberado(arquivo.resultado)) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Arquivo não encontrado'
+                }
+            });
+        }
+
+        if (!podeVerResultado(req, arquivo.resultado)) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Você não tem permissão para acessar este arquivo'
+                }
+            });
+        }
+
+        await registrarAcessoProntuario(req, { pacienteId: arquivo.resultado.pacienteId, recurso: 'ArquivoResultado', recursoId: arquivo.id });
+
+        if (!(await transmitirArquivo(res, arquivo))) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Conteúdo do arquivo indisponível'
+                }
+            });
+        }
+    } catch (error) {
+        console.error('Erro ao baixar arquivo:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao baixar arquivo'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /resultados/{id}/arquivos/{arquivoId}:
+ *   delete:
+ *     summary: Remove um arquivo do resultado (médico responsável ou admin)
+ *     tags: [Resultados]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: arquivoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Arquivo removido com sucesso
+ *       409:
+ *         description: O resultado não é um rascunho (INVALID_STATUS_TRANSITION ou RESOURCE_CONFLICT)
+ */
+export const deleteArquivo = async (req, res) => {
+    try {
+        const { id, arquivoId } = req.params;
+
+        const arquivo = await prisma.arquivoResultado.findFirst({
+            where: { id: arquivoId, resultadoId: id },
+            include: {
+                resultado: {
+                    select: {
+                        medicoId: true,
+                        status: true
+                    }
+                }
+            }
+        });
+
+        if (!arquivo) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Arquivo não encontrado'
+                }
+            });
+        }
+
+        if (!podeGerenciarResultado(req, arquivo.resultado)) {
+            return res.status(403).json({
+                error: {
+                    code: 'AUTH_FORBIDDEN',
+                    message: 'Você não tem permissão para remover este arquivo'
+                }
+            });
+        }
+
+        if (arquivo.resultado.status !== 'RASCUNHO') {
+            return res.status(409).json({
+                error: {
+                    code: 'INVALID_STATUS_TRANSITION',
+                    message: 'Arquivos de resultados publicados não podem ser removidos',
+                    details: { statusAtual: arquivo.resultado.status }
+                }
+            });
+        }
+
+        const removido = await prisma.$transaction(async (tx) => {
+            if (!(await travarComStatus(tx, id, 'RASCUNHO'))) return false;
+
+            await tx.arquivoResultado.delete({
+                where: { id: arquivoId }
+            });
+            return true;
+        });
+
+        if (!removido) {
+            return res.status(409).json({ error: erroRascunhoAlterado });
+        }
+
+        await removerArquivo(arquivo.chave);
+
+        return res.json({
+            message: 'Arquivo removido com sucesso'
+        });
+    } catch (error) {
+        console.error('Erro ao remover arquivo:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao remover arquivo'
+            }
+        });
+    }
+};
@@ -0,0 +1,572 @@
+import prisma from '../config/database.js';
+import { incluirEspecialidades, especialidadesInvalidas } from '../services/especialidadeService.js';
+
+const incluirDetalhes = {
+    medicos: {
+        select: {
+            id: true,
+            nome: true
+        },
+        orderBy: { nome: 'asc' }
+    },
+    especialidades: incluirEspecialidades,
+    analitos: {
+        select: {
+            codigo: true,
+            nome: true,
+            unidade: true,
+            referenciaMin: true,
+            referenciaMax: true,
+            ordem: true
+        },
+        orderBy: { ordem: 'asc' }
+    }
+};
+
+// A posição na lista enviada define a ordem de exibição no laudo
+const dadosAnalitos = (analitos) => analitos.map((analito, ordem) => ({ ...analito, ordem }));
+
+// Retorna os ids que não são de médicos ativos (lista vazia se todos são válidos)
+const medicosInvalidos = async (medicoIds) => {
+    const medicos = await prisma.usuario.findMany({
+        where: { id: { in: medicoIds }, perfil: 'MEDICO', ativo: true },
+        select: { id: true }
+    });
+
+    const validos = new Set(medicos.map((medico) => medico.id));
+    return medicoIds.filter((medicoId) => !validos.has(medicoId));
+};
+
+// Código e nome são únicos no catálogo (nome sem diferenciar maiúsculas)
+const buscarDuplicado = ({ codigo, nome }, ignorarId) => {
+    const criterios = [];
+    if (codigo) criterios.push({ codigo });
+    if (nome) criterios.push({ nome: { equals: nome, mode: 'insensitive' } });
+
+    if (criterios.length === 0) return null;
+
+    return prisma.tipoExame.findFirst({
+        where: {
+            OR: criterios,
+            id: ignorarId ? { not: ignorarId } : undefined
+        }
+    });
+};
+
+/**
+ * @swagger
+ * /tipos-exame:
+ *   get:
+ *     summary: Lista o catálogo de tipos de exame
+ *     description: Apenas o admin vê tipos inativos (filtro ativo).
+ *     tags: [Tipos de Exame]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: ativo
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: busca
+ *         description: Trecho do nome ou código
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tipos de exame com médicos habilitados e analitos esperados
+ */
+export const listTiposExame = async (req, res) => {
+    try {
+        const { ativo, busca } = req.query;
+
+        const whereClause = {
+            ativo: req.userPerfil === 'ADMIN' ? ativo : true
+        };
+
+        if (busca) {
+            whereClause.OR = [
+                { nome: { contains: busca, mode: 'insensitive' } },
+                { codigo: { contains: busca, mode: 'insensitive' } }
+            ];
+        }
+
+        const tiposExame = await prisma.tipoExame.findMany({
+            where: whereClause,
+            include: incluirDetalhes,
+            orderBy: { nome: 'asc' }
+        });
+
+        return res.json({ tiposExame });
+    } catch (error) {
+        console.error('Erro ao listar tipos de exame:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao listar tipos de exame'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /tipos-exame/{id}:
+ *   get:
+ *     summary: Busca um tipo de exame por ID
+ *     tags: [Tipos de Exame]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tipo de exame encontrado
+ */
+export const getTipoExame = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const tipoExame = await prisma.tipoExame.findUnique({
+            where: { id },
+            include: incluirDetalhes
+        });
+
+        if (!tipoExame || (!tipoExame.ativo && req.userPerfil !== 'ADMIN')) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Tipo de exame não encontrado'
+                }
+            });
+        }
+
+        return res.json({ tipoExame });
+    } catch (error) {
+        console.error('Erro ao buscar tipo de exame:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao buscar tipo de exame'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /tipos-exame:
+ *   post:
+ *     summary: Cadastra um tipo de exame (admin)
+ *     tags: [Tipos de Exame]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - codigo
+ *               - nome
+ *             properties:
+ *               codigo:
+ *                 type: string
+ *                 example: HEMOGRAMA
+ *               nome:
+ *                 type: string
+ *                 example: Hemograma completo
+ *               instrucoesPreparo:
+ *                 type: string
+ *               duracaoPadraoMinutos:
+ *                 type: integer
+ *                 default: 30
+ *               requerJejum:
+ *                 type: boolean
+ *                 default: false
+ *               medicoIds:
+ *                 type: array
+ *                 description: Médicos habilitados (vazio, sem especialidades - qualquer médico)
+ *                 items:
+ *                   type: string
+ *               especialidadeIds:
+ *                 type: array
+ *                 description: Especialidades cujos médicos também podem realizar o exame
+ *                 items:
+ *                   type: string
+ *               analitos:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - codigo
+ *                     - nome
+ *                   properties:
+ *                     codigo:
+ *                       type: string
+ *                     nome:
+ *                       type: string
+ *                     unidade:
+ *                       type: string
+ *                     referenciaMin:
+ *                       type: number
+ *                     referenciaMax:
+ *                       type: number
+ *     responses:
+ *       201:
+ *         description: Tipo de exame cadastrado
+ *       409:
+ *         description: Já existe um tipo de exame com esse código ou nome
+ */
+export const createTipoExame = async (req, res) => {
+    try {
+        const { codigo, nome, instrucoesPreparo, duracaoPadraoMinutos, requerJejum, medicoIds, especialidadeIds, analitos } = req.body;
+
+        if (await buscarDuplicado({ codigo, nome })) {
+            return res.status(409).json({
+                error: {
+                    code: 'RESOURCE_CONFLICT',
+                    message: 'Já existe um tipo de exame com esse código ou nome'
+                }
+            });
+        }
+
+        const invalidos = await medicosInvalidos(medicoIds);
+
+        if (invalidos.length > 0) {
+            return res.status(400).json({
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'Médicos inválidos ou inativos',
+                    details: { medicoIds: invalidos }
+                }
+            });
+        }
+
+        const invalidas = await especialidadesInvalidas(especialidadeIds);
+
+        if (invalidas.length > 0) {
+            return res.status(400).json({
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'Especialidades inválidas ou inativas',
+                    details: { especialidadeIds: invalidas }
+                }
+            });
+        }
+
+        const tipoExame = await prisma.tipoExame.create({
+            data: {
+                codigo,
+                nome,
+                instrucoesPreparo,
+                duracaoPadraoMinutos,
+                requerJejum,
+                medicos: { connect: medicoIds.map((medicoId) => ({ id: medicoId })) },
+                especialidades: { connect: especialidadeIds.map((especialidadeId) => ({ id: especialidadeId })) },
+                analitos: { create: dadosAnalitos(analitos) }
+            },
+            include: incluirDetalhes
+        });
+
+        return res.status(201).json({
+            message: 'Tipo de exame cadastrado com sucesso',
+            tipoExame
+        });
+    } catch (error) {
+        console.error('Erro ao cadastrar tipo de exame:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao cadastrar tipo de exame'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /tipos-exame/{id}:
+ *   put:
+ *     summary: Atualiza um tipo de exame (admin)
+ *     description: Exames já agendados mantêm o nome e a duração do agendamento.
+ *     tags: [Tipos de Exame]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               codigo:
+ *                 type: string
+ *               nome:
+ *                 type: string
+ *               instrucoesPreparo:
+ *                 type: string
+ *                 nullable: true
+ *               duracaoPadraoMinutos:
+ *                 type: integer
+ *               requerJejum:
+ *                 type: boolean
+ *               medicoIds:
+ *                 type: array
+ *                 description: Substitui a lista de médicos habilitados
+ *                 items:
+ *                   type: string
+ *               especialidadeIds:
+ *                 type: array
+ *                 description: Substitui a lista de especialidades habilitadas
+ *                 items:
+ *                   type: string
+ *               ativo:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Tipo de exame atualizado
+ */
+export const updateTipoExame = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { codigo, nome, instrucoesPreparo, duracaoPadraoMinutos, requerJejum, medicoIds, especialidadeIds, ativo } = req.body;
+
+        const tipoExame = await prisma.tipoExame.findUnique({
+            where: { id }
+        });
+
+        if (!tipoExame) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Tipo de exame não encontrado'
+                }
+            });
+        }
+
+        if (await buscarDuplicado({ codigo, nome }, id)) {
+            return res.status(409).json({
+                error: {
+                    code: 'RESOURCE_CONFLICT',
+                    message: 'Já existe um tipo de exame com esse código ou nome'
+                }
+            });
+        }
+
+        if (medicoIds) {
+            const invalidos = await medicosInvalidos(medicoIds);
+
+            if (invalidos.length > 0) {
+                return res.status(400).json({
+                    error: {
+                        code: 'VALIDATION_ERROR',
+                        message: 'Médicos inválidos ou inativos',
+                        details: { medicoIds: invalidos }
+                    }
+                });
+            }
+        }
+
+        if (especialidadeIds) {
+            const invalidas = await especialidadesInvalidas(especialidadeIds);
+
+            if (invalidas.length > 0) {
+                return res.status(400).json({
+                    error: {
+                        code: 'VALIDATION_ERROR',
+                        message: 'Especialidades inválidas ou inativas',
+                        details: { especialidadeIds: invalidas }
+                    }
+                });
+            }
+        }
+
+        const tipoExameAtualizado = await prisma.tipoExame.update({
+            where: { id },
+            data: {
+                codigo,
+                nome,
+                instrucoesPreparo,
+                duracaoPadraoMinutos,
+                requerJejum,
+                ativo,
+                medicos: medicoIds ? { set: medicoIds.map((medicoId) => ({ id: medicoId })) } : undefined,
+                especialidades: especialidadeIds
+                    ? { set: especialidadeIds.map((especialidadeId) => ({ id: especialidadeId })) }
+                    : undefined
+            },
+            include: incluirDetalhes
+        });
+
+        return res.json({
+            message: 'Tipo de exame atualizado com sucesso',
+            tipoExame: tipoExameAtualizado
+        });
+    } catch (error) {
+        console.error('Erro ao atualizar tipo de exame:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao atualizar tipo de exame'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /tipos-exame/{id}/analitos:
+ *   put:
+ *     summary: Substitui os analitos esperados do tipo de exame (admin)
+ *     description: Laudos já registrados mantêm os nomes, unidades e faixas copiados no registro.
+ *     tags: [Tipos de Exame]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - analitos
+ *             properties:
+ *               analitos:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Analitos atualizados
+ */
+export const updateAnalitos = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { analitos } = req.body;
+
+        const tipoExame = await prisma.tipoExame.findUnique({
+            where: { id }
+        });
+
+        if (!tipoExame) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Tipo de exame não encontrado'
+                }
+            });
+        }
+
+        const tipoExameAtualizado = await prisma.tipoExame.update({
+            where: { id },
+            data: {
+                analitos: {
+                    deleteMany: {},
+                    create: dadosAnalitos(analitos)
+                }
+            },
+            include: incluirDetalhes
+        });
+
+        return res.json({
+            message: 'Analitos atualizados com sucesso',
+            tipoExame: tipoExameAtualizado
+        });
+    } catch (error) {
+        console.error('Erro ao atualizar analitos:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao atualizar analitos'
+            }
+        });
+    }
+};
+
+/**
+ * @swagger
+ * /tipos-exame/{id}:
+ *   delete:
+ *     summary: Remove um tipo de exame sem exames vinculados (admin)
+ *     tags: [Tipos de Exame]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tipo de exame removido
+ *       409:
+ *         description: Há exames vinculados (desative o tipo com ativo = false)
+ */
+export const deleteTipoExame = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const tipoExame = await prisma.tipoExame.findUnique({
+            where: { id },
+            include: {
+                _count: {
+                    select: { exames: true }
+                }
+            }
+        });
+
+        if (!tipoExame) {
+            return res.status(404).json({
+                error: {
+                    code: 'RESOURCE_NOT_FOUND',
+                    message: 'Tipo de exame não encontrado'
+                }
+            });
+        }
+
+        if (tipoExame._count.exames > 0) {
+            return res.status(409).json({
+                error: {
+                    code: 'RESOURCE_CONFLICT',
+                    message: 'Tipo de exame possui exames vinculados; desative-o em vez de removê-lo',
+                    details: { exames: tipoExame._count.exames }
+                }
+            });
+        }
+
+        await prisma.tipoExame.delete({
+            where: { id }
+        });
+
+        return res.json({
+            message: 'Tipo de exame removido com sucesso'
+        });
+    } catch (error) {
+        console.error('Erro ao remover tipo de exame:', error);
+        return res.status(500).json({
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Erro ao remover tipo de exame'
+            }
+        });
+    }
+};
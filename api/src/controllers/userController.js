@@ -1,38 +1,83 @@
 import bcrypt from 'bcryptjs';
 import prisma from '../config/database.js';
+import { revogarSessoesDoUsuario } from '../services/sessaoService.js';
+import { registrarAcessoProntuario } from '../services/acessoProntuarioService.js';
+import { paginar, ordenar, metaPaginacao } from '../utils/listagem.js';
 
 /**
  * @swagger
  * /users:
  *   get:
- *     summary: Lista todos os usuários (admin)
+ *     summary: Lista usuários (admin, paginado, com filtros)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: perfil
+ *         schema:
+ *           type: string
+ *           enum: [ADMIN, PACIENTE, ATENDENTE, MEDICO]
+ *       - in: query
+ *         name: ativo
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: busca
+ *         description: Trecho do nome ou email
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - in: query
+ *         name: orderBy
+ *         schema:
+ *           type: string
+ *           enum: [nome, email, criadoEm]
+ *           default: criadoEm
+ *       - $ref: '#/components/parameters/Order'
  *     responses:
  *       200:
- *         description: Lista de usuários
+ *         description: Lista paginada de usuários (total no cabeçalho Content-Range)
  *       403:
  *         description: Acesso negado
  */
 export const listUsers = async (req, res) => {
     try {
-        const usuarios = await prisma.usuario.findMany({
-            select: {
-                id: true,
-                nome: true,
-                email: true,
-                perfil: true,
-                ativo: true,
-                criadoEm: true,
-                atualizadoEm: true
-            },
-            orderBy: {
-                criadoEm: 'desc'
-            }
-        });
+        const { perfil, ativo, busca } = req.query;
+
+        const whereClause = { perfil, ativo };
+
+        // Busca textual em nome ou email
+        if (busca) {
+            whereClause.OR = [
+                { nome: { contains: busca, mode: 'insensitive' } },
+                { email: { contains: busca, mode: 'insensitive' } }
+            ];
+        }
+
+        const [usuarios, total] = await prisma.$transaction([
+            prisma.usuario.findMany({
+                where: whereClause,
+                select: {
+                    id: true,
+                    nome: true,
+                    email: true,
+                    perfil: true,
+                    ativo: true,
+                    criadoEm: true,
+                    atualizadoEm: true
+                },
+                orderBy: ordenar(req.query),
+                ...paginar(req.query)
+            }),
+            prisma.usuario.count({ where: whereClause })
+        ]);
 
-        return res.json({ usuarios });
+        return res.json({
+            usuarios,
+            paginacao: metaPaginacao(res, 'usuarios', req.query, total, usuarios.length)
+        });
     } catch (error) {
         console.error('Erro ao listar usuários:', error);
         return res.status(500).json({
@@ -81,35 +126,6 @@ export const createUser = async (req, res) => {
     try {
         const { nome, email, senha, perfil } = req.body;
 
-        // Validação básica
-        if (!nome || !email || !senha || !perfil) {
-            return res.status(400).json({
-                error: {
-                    code: 'VALIDATION_ERROR',
-                    message: 'Nome, email, senha e perfil são obrigatórios'
-                }
-            });
-        }
-
-        if (senha.length < 8) {
-            return res.status(400).json({
-                error: {
-                    code: 'VALIDATION_ERROR',
-                    message: 'A senha deve ter no mínimo 8 caracteres'
-                }
-            });
-        }
-
-        const perfisValidos = ['ADMIN', 'PACIENTE', 'ATENDENTE', 'MEDICO'];
-        if (!perfisValidos.includes(perfil)) {
-            return res.status(400).json({
-                error: {
-                    code: 'VALIDATION_ERROR',
-                    message: 'Perfil inválido'
-                }
-            });
-        }
-
         // Verifica se o email já existe
         const existingUser = await prisma.usuario.findUnique({
             where: { email }
@@ -192,6 +208,8 @@ export const getUser = async (req, res) => {
                 email: true,
                 perfil: true,
                 ativo: true,
+                desativacaoSolicitadaEm: true,
+                motivoDesativacao: true,
                 criadoEm: true,
                 atualizadoEm: true
             }
@@ -206,6 +224,10 @@ export const getUser = async (req, res) => {
             });
         }
 
+        if (usuario.perfil === 'PACIENTE') {
+            await registrarAcessoProntuario(req, { pacienteId: usuario.id, recurso: 'Usuario', recursoId: usuario.id });
+        }
+
         return res.json({ usuario });
     } catch (error) {
         console.error('Erro ao buscar usuário:', error);
@@ -252,6 +274,8 @@ export const getUser = async (req, res) => {
  *     responses:
  *       200:
  *         description: Usuário atualizado com sucesso
+ *       409:
+ *         description: Usuário anonimizado
  */
 export const updateUser = async (req, res) => {
     try {
@@ -272,33 +296,29 @@ export const updateUser = async (req, res) => {
             });
         }
 
+        // Anonimização é definitiva: a conta não volta a receber dados pessoais
+        if (usuarioExistente.anonimizadoEm) {
+            return res.status(409).json({
+                error: {
+                    code: 'RESOURCE_CONFLICT',
+                    message: 'Usuário anonimizado não pode ser alterado'
+                }
+            });
+        }
+
         // Prepara os dados para atualização
         const dadosAtualizacao = {};
 
         if (nome) dadosAtualizacao.nome = nome;
         if (email) dadosAtualizacao.email = email;
-        if (perfil) {
-            const perfisValidos = ['ADMIN', 'PACIENTE', 'ATENDENTE', 'MEDICO'];
-            if (!perfisValidos.includes(perfil)) {
-                return res.status(400).json({
-                    error: {
-                        code: 'VALIDATION_ERROR',
-                        message: 'Perfil inválido'
-                    }
-                });
-            }
-            dadosAtualizacao.perfil = perfil;
-        }
+        if (perfil) dadosAtualizacao.perfil = perfil;
         if (typeof ativo === 'boolean') dadosAtualizacao.ativo = ativo;
+        // Reativação encerra a solicitação de desativação feita pelo paciente
+        if (ativo === true) {
+            dadosAtualizacao.desativacaoSolicitadaEm = null;
+            dadosAtualizacao.motivoDesativacao = null;
+        }
         if (senha) {
-            if (senha.length < 8) {
-                return res.status(400).json({
-                    error: {
-                        code: 'VALIDATION_ERROR',
-                        message: 'A senha deve ter no mínimo 8 caracteres'
-                    }
-                });
-            }
             dadosAtualizacao.senhaHash = await bcrypt.hash(senha, 10);
         }
 
@@ -316,6 +336,11 @@ export const updateUser = async (req, res) => {
             }
         });
 
+        // Usuário desativado ou com senha trocada perde as sessões abertas
+        if (ativo === false || senha) {
+            await revogarSessoesDoUsuario(id);
+        }
+
         return res.json({
             message: 'Usuário atualizado com sucesso',
             usuario
@@ -0,0 +1,12 @@
+import { agendarJob } from './runner.js';
+import { processarLembretes } from './lembretes.js';
+import { notificarResultadosLiberados } from './resultados.js';
+import { LEMBRETES_INTERVALO_SEGUNDOS } from '../config/agendamento.js';
+
+const RESULTADOS_INTERVALO_SEGUNDOS = Number(process.env.RESULTADOS_INTERVALO_SEGUNDOS ?? 60);
+
+export const iniciarJobs = () => {
+    agendarJob('lembretes', LEMBRETES_INTERVALO_SEGUNDOS * 1000, () => processarLembretes());
+    agendarJob('resultados-liberados', RESULTADOS_INTERVALO_SEGUNDOS * 1000, () => notificarResultadosLiberados());
+    console.log('⏰ Jobs em segundo plano iniciados');
+};
@@ -0,0 +1,131 @@
+import prisma from '../config/database.js';
+import { LEMBRETES_ANTECEDENCIAS_HORAS, LEMBRETES_INTERVALO_SEGUNDOS } from '../config/agendamento.js';
+import { enviarLembrete } from '../services/notificacaoService.js';
+
+const LOTE_ENVIO = 100;
+
+const incluirMedico = {
+    medico: { select: { id: true, nome: true } }
+};
+
+/**
+ * Gera as linhas PENDENTE dos lembretes de consultas/exames AGENDADA que
+ * entram na janela de envio. As restrições únicas do modelo Lembrete tornam
+ * a operação idempotente entre execuções e reinícios do servidor.
+ */
+const gerarLembretes = async (agora) => {
+    const antecedenciaMaxima = Math.max(...LEMBRETES_ANTECEDENCIAS_HORAS) * 3600000;
+    const tolerancia = LEMBRETES_INTERVALO_SEGUNDOS * 2000;
+    const filtro = {
+        status: 'AGENDADA',
+        dataHora: {
+            gt: agora,
+            lte: new Date(agora.getTime() + antecedenciaMaxima + tolerancia)
+        }
+    };
+    const campos = { id: true, pacienteId: true, dataHora: true };
+
+    const [consultas, exames] = await Promise.all([
+        prisma.consulta.findMany({ where: filtro, select: campos }),
+        prisma.exame.findMany({ where: filtro, select: campos })
+    ]);
+
+    const agendamentos = [
+        ...consultas.map((consulta) => ({ referencia: { consultaId: consulta.id }, ...consulta })),
+        ...exames.map((exame) => ({ referencia: { exameId: exame.id }, ...exame }))
+    ];
+
+    const lembretes = agendamentos.flatMap(({ referencia, pacienteId, dataHora }) => {
+        return LEMBRETES_ANTECEDENCIAS_HORAS.map((horas) => ({
+            ...referencia,
+            pacienteId,
+            antecedenciaMinutos: Math.round(horas * 60),
+            dataHoraAgendamento: dataHora,
+            enviarEm: new Date(dataHora.getTime() - horas * 3600000)
+        }))
+            // Agendamentos feitos depois do momento do lembrete não o recebem
+            .filter((lembrete) => lembrete.enviarEm.getTime() >= agora.getTime() - tolerancia);
+    });
+
+    if (lembretes.length === 0) return 0;
+
+    const { count } = await prisma.lembrete.createMany({
+        data: lembretes,
+        skipDuplicates: true
+    });
+
+    return count;
+};
+
+const buscarAgendamento = (lembrete) => {
+    if (lembrete.consultaId) {
+        return prisma.consulta.findUnique({ where: { id: lembrete.consultaId }, include: incluirMedico });
+    }
+    return prisma.exame.findUnique({
+        where: { id: lembrete.exameId },
+        include: { ...incluirMedico, tipoExame: { select: { requerJejum: true } } }
+    });
+};
+
+/**
+ * Envia os lembretes vencidos. Cada lembrete é marcado como ENVIADO antes do
+ * disparo (updateMany condicionado a PENDENTE), garantindo no máximo um envio.
+ */
+const enviarLembretesPendentes = async (agora) => {
+    const pendentes = await prisma.lembrete.findMany({
+        where: { status: 'PENDENTE', enviarEm: { lte: agora } },
+        orderBy: { enviarEm: 'asc' },
+        take: LOTE_ENVIO
+    });
+
+    let enviados = 0;
+
+    for (const lembrete of pendentes) {
+        const { count } = await prisma.lembrete.updateMany({
+            where: { id: lembrete.id, status: 'PENDENTE' },
+            data: { status: 'ENVIADO', enviadoEm: new Date() }
+        });
+
+        // Outra instância já processou este lembrete
+        if (count === 0) continue;
+
+        const agendamento = await buscarAgendamento(lembrete);
+
+        // Agendamento cancelado, concluído ou remarcado desde a geração do lembrete
+        if (
+            !agendamento ||
+            agendamento.status !== 'AGENDADA' ||
+            agendamento.dataHora.getTime() !== lembrete.dataHoraAgendamento.getTime() ||
+            agendamento.dataHora <= agora
+        ) {
+            await prisma.lembrete.update({
+                where: { id: lembrete.id },
+                data: { status: 'CANCELADO', enviadoEm: null }
+            });
+            continue;
+        }
+
+        try {
+            await enviarLembrete(lembrete.consultaId ? 'CONSULTA' : 'EXAME', agendamento);
+            enviados++;
+        } catch (error) {
+            await prisma.lembrete.update({
+                where: { id: lembrete.id },
+                data: { status: 'FALHOU', erro: String(error.message || error).slice(0, 500) }
+            });
+        }
+    }
+
+    return enviados;
+};
+
+export const processarLembretes = async (agora = new Date()) => {
+    if (LEMBRETES_ANTECEDENCIAS_HORAS.length === 0) return;
+
+    const gerados = await gerarLembretes(agora);
+    const enviados = await enviarLembretesPendentes(agora);
+
+    if (process.env.NODE_ENV === 'development' && (gerados || enviados)) {
+        console.log(`⏰ Lembretes: ${gerados} gerados, ${enviados} enviados`);
+    }
+};
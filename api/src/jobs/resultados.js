@@ -0,0 +1,41 @@
+import prisma from '../config/database.js';
+import { notificarResultado } from '../services/notificacaoService.js';
+
+const LOTE = 100;
+
+/**
+ * Avisa os pacientes dos resultados com liberação agendada que já chegou.
+ * notificadoEm é marcado antes do aviso (updateMany condicionado), garantindo um único envio.
+ */
+export const notificarResultadosLiberados = async (agora = new Date()) => {
+    const liberados = await prisma.resultadoExame.findMany({
+        where: {
+            status: 'PUBLICADO',
+            notificadoEm: null,
+            publicadoEm: { lte: agora }
+        },
+        include: {
+            exame: { select: { id: true, nome: true } }
+        },
+        orderBy: { publicadoEm: 'asc' },
+        take: LOTE
+    });
+
+    let notificados = 0;
+
+    for (const resultado of liberados) {
+        const { count } = await prisma.resultadoExame.updateMany({
+            where: { id: resultado.id, notificadoEm: null },
+            data: { notificadoEm: new Date() }
+        });
+
+        if (count === 0) continue;
+
+        notificarResultado(resultado);
+        notificados++;
+    }
+
+    if (process.env.NODE_ENV === 'development' && notificados) {
+        console.log(`📄 Resultados liberados: ${notificados} pacientes avisados`);
+    }
+};
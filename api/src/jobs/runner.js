@@ -0,0 +1,31 @@
+// Executor simples de jobs periódicos (um processo, sem sobreposição de execuções)
+const jobs = new Map();
+
+export const agendarJob = (nome, intervaloMs, tarefa) => {
+    let executando = false;
+
+    const executar = async () => {
+        // Pula o ciclo se a execução anterior ainda não terminou
+        if (executando) return;
+        executando = true;
+
+        try {
+            await tarefa();
+        } catch (error) {
+            console.error(`Erro no job ${nome}:`, error);
+        } finally {
+            executando = false;
+        }
+    };
+
+    const timer = setInterval(executar, intervaloMs);
+    timer.unref();
+    jobs.set(nome, timer);
+
+    executar();
+};
+
+export const pararJobs = () => {
+    jobs.forEach((timer) => clearInterval(timer));
+    jobs.clear();
+};
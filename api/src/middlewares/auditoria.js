@@ -0,0 +1,23 @@
+import { executarComAuditoria, gravarAuditoria } from '../services/auditoriaService.js';
+
+const METODOS_ESCRITA = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Abre o contexto de auditoria das requisições de escrita: as alterações feitas pelo Prisma
+ * durante a requisição são gravadas em RegistroAuditoria quando a resposta termina.
+ * Deve ser registrado antes das rotas (o autor é lido de req.userId ao final).
+ */
+export const auditoria = (req, res, next) => {
+    if (!METODOS_ESCRITA.includes(req.method)) {
+        return next();
+    }
+
+    const contexto = { req, pendencias: [] };
+
+    res.once('close', () => {
+        gravarAuditoria(contexto, res.statusCode < 400)
+            .catch((error) => console.error('Erro ao gravar auditoria:', error));
+    });
+
+    return executarComAuditoria(contexto, next);
+};
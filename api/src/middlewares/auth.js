@@ -47,6 +47,7 @@ export const authMiddleware = (req, res, next) => {
 
             req.userId = decoded.id;
             req.userPerfil = decoded.perfil;
+            req.sessaoId = decoded.sid;
             return next();
         });
     } catch (error) {
@@ -82,3 +83,10 @@ export const requireRole = (roles) => {
         next();
     };
 };
+
+// Rotas públicas que mudam de comportamento para usuários logados: o token é validado apenas se enviado
+export const optionalAuth = (req, res, next) => {
+    if (!req.headers.authorization) return next();
+
+    return authMiddleware(req, res, next);
+};
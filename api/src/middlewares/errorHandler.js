@@ -1,16 +1,56 @@
-export const errorHandler = (err, req, res, next) => {
-    console.error(err);
+import multer from 'multer';
+import { ZodError } from 'zod';
+import { ARQUIVO_TAMANHO_MAXIMO_MB } from './upload.js';
 
-    if (err.name === 'ValidationError') {
+export const errorHandler = (err, req, res, next) => {
+    // Erros do middleware validate: um item em details por campo inválido
+    if (err instanceof ZodError) {
         return res.status(400).json({
             error: {
                 code: 'VALIDATION_ERROR',
                 message: 'Erro de validação',
-                details: err.errors
+                details: err.issues.map((issue) => ({
+                    local: issue.path[0],
+                    campo: issue.path.slice(1).join('.'),
+                    mensagem: issue.message
+                }))
             }
         });
     }
 
+    // Limites do upload multipart (multer)
+    if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({
+                error: {
+                    code: 'FILE_TOO_LARGE',
+                    message: `Arquivo excede o tamanho máximo de ${ARQUIVO_TAMANHO_MAXIMO_MB} MB`
+                }
+            });
+        }
+
+        return res.status(400).json({
+            error: {
+                code: 'VALIDATION_ERROR',
+                message: err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE'
+                    ? 'Quantidade de arquivos ou nome do campo inválido (use o campo "arquivos")'
+                    : 'Upload inválido'
+            }
+        });
+    }
+
+    // Corpo da requisição com JSON malformado (express.json)
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({
+            error: {
+                code: 'VALIDATION_ERROR',
+                message: 'JSON inválido no corpo da requisição'
+            }
+        });
+    }
+
+    console.error(err);
+
     if (err.code === 'P2002') {
         return res.status(409).json({
             error: {
@@ -0,0 +1,17 @@
+import multer from 'multer';
+
+export const ARQUIVO_TAMANHO_MAXIMO_MB = Number(process.env.ARQUIVO_TAMANHO_MAXIMO_MB || 10);
+export const ARQUIVOS_POR_ENVIO = 5;
+
+/**
+ * Recebe os anexos de resultados (campo multipart "arquivos") em memória.
+ * Tamanho e quantidade são limitados aqui; o tipo é conferido pelo conteúdo no controller.
+ */
+export const uploadArquivosResultado = multer({
+    storage: multer.memoryStorage(),
+    defParamCharset: 'utf8', // nomes de arquivo com acentos
+    limits: {
+        fileSize: ARQUIVO_TAMANHO_MAXIMO_MB * 1024 * 1024,
+        files: ARQUIVOS_POR_ENVIO
+    }
+}).array('arquivos', ARQUIVOS_POR_ENVIO);
@@ -0,0 +1,31 @@
+import { z } from 'zod';
+
+/**
+ * Valida params, query e/ou body da requisição com schemas zod.
+ * Em caso de sucesso, substitui cada parte pelos dados validados (campos
+ * desconhecidos são descartados e transformações aplicadas); em caso de erro,
+ * repassa o ZodError ao errorHandler, que responde com VALIDATION_ERROR.
+ *
+ * Uso: router.post('/', validate({ body: schema }), controller)
+ */
+export const validate = (schemas) => {
+    const schema = z.object(schemas);
+
+    return (req, res, next) => {
+        const resultado = schema.safeParse({
+            params: req.params,
+            query: req.query,
+            body: req.body ?? {}
+        });
+
+        if (!resultado.success) {
+            return next(resultado.error);
+        }
+
+        for (const parte of Object.keys(schemas)) {
+            req[parte] = resultado.data[parte];
+        }
+
+        return next();
+    };
+};
@@ -0,0 +1,14 @@
+import express from 'express';
+import { authMiddleware, requireRole } from '../middlewares/auth.js';
+import { validate } from '../middlewares/validate.js';
+import { listAuditoriaSchema } from '../schemas/auditoria.js';
+import { listAuditoria } from '../controllers/auditoriaController.js';
+
+const router = express.Router();
+
+// Trilha de auditoria: consulta apenas pelo ADMIN (não há rotas de alteração)
+router.use(authMiddleware, requireRole(['ADMIN']));
+
+router.get('/', validate(listAuditoriaSchema), listAuditoria);
+
+export default router;
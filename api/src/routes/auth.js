@@ -1,10 +1,31 @@
 import express from 'express';
-import { register, login, refresh } from '../controllers/authController.js';
+import { authMiddleware } from '../middlewares/auth.js';
+import { validate } from '../middlewares/validate.js';
+import {
+    registerSchema,
+    loginSchema,
+    refreshTokenSchema,
+    esqueciSenhaSchema,
+    redefinirSenhaSchema
+} from '../schemas/auth.js';
+import {
+    register,
+    login,
+    refresh,
+    esqueciSenha,
+    redefinirSenha,
+    logout,
+    logoutAll
+} from '../controllers/authController.js';
 
 const router = express.Router();
 
-router.post('/register', register);
-router.post('/login', login);
-router.post('/refresh', refresh);
+router.post('/register', validate(registerSchema), register);
+router.post('/login', validate(loginSchema), login);
+router.post('/refresh', validate(refreshTokenSchema), refresh);
+router.post('/esqueci-senha', validate(esqueciSenhaSchema), esqueciSenha);
+router.post('/redefinir-senha', validate(redefinirSenhaSchema), redefinirSenha);
+router.post('/logout', validate(refreshTokenSchema), logout);
+router.post('/logout-all', authMiddleware, logoutAll);
 
 export default router;
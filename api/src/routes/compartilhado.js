@@ -0,0 +1,15 @@
+import express from 'express';
+import { validate } from '../middlewares/validate.js';
+import { acessoCompartilhadoSchema, arquivoCompartilhadoSchema } from '../schemas/compartilhamentos.js';
+import {
+    getCompartilhado,
+    downloadArquivoCompartilhado
+} from '../controllers/compartilhamentoController.js';
+
+const router = express.Router();
+
+// Rotas públicas: o acesso é autorizado pelo token do link (e PIN, se houver)
+router.get('/:token', validate(acessoCompartilhadoSchema), getCompartilhado);
+router.get('/:token/arquivos/:arquivoId', validate(arquivoCompartilhadoSchema), downloadArquivoCompartilhado);
+
+export default router;
@@ -1,11 +1,22 @@
 import express from 'express';
 import { authMiddleware } from '../middlewares/auth.js';
+import { validate } from '../middlewares/validate.js';
+import { paramsId } from '../schemas/comum.js';
+import {
+    createConsultaSchema,
+    updateAgendamentoSchema,
+    cancelAgendamentoSchema,
+    remarcarAgendamentoSchema,
+    listAgendamentosSchema
+} from '../schemas/agendamentos.js';
 import {
     createConsulta,
     listConsultas,
     getConsulta,
     updateConsulta,
-    deleteConsulta
+    deleteConsulta,
+    remarcarConsulta,
+    getHistoricoConsulta
 } from '../controllers/consultaController.js';
 
 const router = express.Router();
@@ -13,10 +24,12 @@ const router = express.Router();
 // Todas as rotas de consultas requerem autenticação
 router.use(authMiddleware);
 
-router.post('/', createConsulta);
-router.get('/', listConsultas);
-router.get('/:id', getConsulta);
-router.put('/:id', updateConsulta);
-router.delete('/:id', deleteConsulta);
+router.post('/', validate(createConsultaSchema), createConsulta);
+router.get('/', validate(listAgendamentosSchema), listConsultas);
+router.get('/:id', validate({ params: paramsId }), getConsulta);
+router.get('/:id/historico', validate({ params: paramsId }), getHistoricoConsulta);
+router.put('/:id', validate(updateAgendamentoSchema), updateConsulta);
+router.delete('/:id', validate(cancelAgendamentoSchema), deleteConsulta);
+router.post('/:id/remarcar', validate(remarcarAgendamentoSchema), remarcarConsulta);
 
 export default router;
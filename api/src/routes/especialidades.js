@@ -0,0 +1,28 @@
+import express from 'express';
+import { authMiddleware, optionalAuth, requireRole } from '../middlewares/auth.js';
+import { validate } from '../middlewares/validate.js';
+import { paramsId } from '../schemas/comum.js';
+import {
+    listEspecialidadesSchema,
+    createEspecialidadeSchema,
+    updateEspecialidadeSchema
+} from '../schemas/especialidades.js';
+import {
+    listEspecialidades,
+    createEspecialidade,
+    updateEspecialidade,
+    deleteEspecialidade
+} from '../controllers/especialidadeController.js';
+
+const router = express.Router();
+
+// Listagem pública (filtro do agendamento); manutenção apenas por ADMIN
+router.get('/', optionalAuth, validate(listEspecialidadesSchema), listEspecialidades);
+
+router.use(authMiddleware, requireRole(['ADMIN']));
+
+router.post('/', validate(createEspecialidadeSchema), createEspecialidade);
+router.put('/:id', validate(updateEspecialidadeSchema), updateEspecialidade);
+router.delete('/:id', validate({ params: paramsId }), deleteEspecialidade);
+
+export default router;
@@ -1,11 +1,22 @@
 import express from 'express';
 import { authMiddleware } from '../middlewares/auth.js';
+import { validate } from '../middlewares/validate.js';
+import { paramsId } from '../schemas/comum.js';
+import {
+    createExameSchema,
+    updateAgendamentoSchema,
+    cancelAgendamentoSchema,
+    remarcarAgendamentoSchema,
+    listAgendamentosSchema
+} from '../schemas/agendamentos.js';
 import {
     createExame,
     listExames,
     getExame,
     updateExame,
-    deleteExame
+    deleteExame,
+    remarcarExame,
+    getHistoricoExame
 } from '../controllers/exameController.js';
 
 const router = express.Router();
@@ -13,10 +24,12 @@ const router = express.Router();
 // Todas as rotas de exames requerem autenticação
 router.use(authMiddleware);
 
-router.post('/', createExame);
-router.get('/', listExames);
-router.get('/:id', getExame);
-router.put('/:id', updateExame);
-router.delete('/:id', deleteExame);
+router.post('/', validate(createExameSchema), createExame);
+router.get('/', validate(listAgendamentosSchema), listExames);
+router.get('/:id', validate({ params: paramsId }), getExame);
+router.get('/:id/historico', validate({ params: paramsId }), getHistoricoExame);
+router.put('/:id', validate(updateAgendamentoSchema), updateExame);
+router.delete('/:id', validate(cancelAgendamentoSchema), deleteExame);
+router.post('/:id/remarcar', validate(remarcarAgendamentoSchema), remarcarExame);
 
 export default router;
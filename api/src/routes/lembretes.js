@@ -0,0 +1,15 @@
+import express from 'express';
+import { authMiddleware, requireRole } from '../middlewares/auth.js';
+import { validate } from '../middlewares/validate.js';
+import { listLembretesSchema } from '../schemas/lembretes.js';
+import { listLembretes } from '../controllers/lembreteController.js';
+
+const router = express.Router();
+
+// Acompanhamento dos lembretes requer perfil ADMIN
+router.use(authMiddleware);
+router.use(requireRole(['ADMIN']));
+
+router.get('/', validate(listLembretesSchema), listLembretes);
+
+export default router;
@@ -0,0 +1,38 @@
+import express from 'express';
+import { authMiddleware } from '../middlewares/auth.js';
+import { validate } from '../middlewares/validate.js';
+import {
+    updateMeSchema,
+    alterarSenhaSchema,
+    desativarContaSchema,
+    updateMeuPerfilSchema,
+    listMeusAcessosSchema
+} from '../schemas/me.js';
+import {
+    getMe,
+    updateMe,
+    alterarSenha,
+    desativarConta,
+    getMeuPerfil,
+    updateMeuPerfil,
+    listMeusAcessos,
+    exportarMeusDados
+} from '../controllers/meController.js';
+
+const router = express.Router();
+
+// Dados do próprio usuário logado
+router.use(authMiddleware);
+
+router.get('/', getMe);
+router.patch('/', validate(updateMeSchema), updateMe);
+router.post('/alterar-senha', validate(alterarSenhaSchema), alterarSenha);
+router.delete('/', validate(desativarContaSchema), desativarConta);
+
+router.get('/perfil', getMeuPerfil);
+router.put('/perfil', validate(updateMeuPerfilSchema), updateMeuPerfil);
+
+router.get('/acessos', validate(listMeusAcessosSchema), listMeusAcessos);
+router.get('/exportar', exportarMeusDados);
+
+export default router;
@@ -0,0 +1,41 @@
+import express from 'express';
+import { authMiddleware } from '../middlewares/auth.js';
+import { validate } from '../middlewares/validate.js';
+import { paramsId } from '../schemas/comum.js';
+import {
+    listMedicosSchema,
+    updatePerfilMedicoSchema,
+    horariosLivresSchema,
+    updateDisponibilidadeSchema,
+    createExcecaoSchema,
+    excecaoParamsSchema
+} from '../schemas/medicos.js';
+import {
+    listMedicos,
+    getMedico,
+    updatePerfilMedico,
+    listHorariosLivres,
+    getDisponibilidade,
+    updateDisponibilidade,
+    createExcecao,
+    deleteExcecao
+} from '../controllers/medicoController.js';
+
+const router = express.Router();
+
+// Rotas públicas: vitrine de médicos usada para escolher com quem agendar
+router.get('/', validate(listMedicosSchema), listMedicos);
+router.get('/:id', validate({ params: paramsId }), getMedico);
+
+// As demais rotas de médicos requerem autenticação
+router.use(authMiddleware);
+
+router.put('/:id/perfil', validate(updatePerfilMedicoSchema), updatePerfilMedico);
+
+router.get('/:id/horarios-livres', validate(horariosLivresSchema), listHorariosLivres);
+router.get('/:id/disponibilidade', validate({ params: paramsId }), getDisponibilidade);
+router.put('/:id/disponibilidade', validate(updateDisponibilidadeSchema), updateDisponibilidade);
+router.post('/:id/excecoes', validate(createExcecaoSchema), createExcecao);
+router.delete('/:id/excecoes/:excecaoId', validate(excecaoParamsSchema), deleteExcecao);
+
+export default router;
@@ -0,0 +1,23 @@
+import express from 'express';
+import { authMiddleware } from '../middlewares/auth.js';
+import { validate } from '../middlewares/validate.js';
+import { paramsId } from '../schemas/comum.js';
+import { listNotificacoesSchema } from '../schemas/notificacoes.js';
+import {
+    listNotificacoes,
+    countNaoLidas,
+    marcarComoLida,
+    marcarTodasComoLidas
+} from '../controllers/notificacaoController.js';
+
+const router = express.Router();
+
+// Todas as rotas de notificações requerem autenticação
+router.use(authMiddleware);
+
+router.get('/', validate(listNotificacoesSchema), listNotificacoes);
+router.get('/nao-lidas', countNaoLidas);
+router.post('/marcar-todas-lidas', marcarTodasComoLidas);
+router.patch('/:id/lida', validate({ params: paramsId }), marcarComoLida);
+
+export default router;
@@ -0,0 +1,38 @@
+import express from 'express';
+import { authMiddleware, requireRole } from '../middlewares/auth.js';
+import { validate } from '../middlewares/validate.js';
+import { paramsId } from '../schemas/comum.js';
+import {
+    listPacientesSchema,
+    createPacienteSchema,
+    updatePacienteSchema,
+    historicoAnalitoSchema
+} from '../schemas/pacientes.js';
+import {
+    listPacientes,
+    createPaciente,
+    getPaciente,
+    updatePaciente,
+    enviarAtivacao,
+    anonimizar,
+    getHistoricoAnalito
+} from '../controllers/pacienteController.js';
+
+const router = express.Router();
+
+// Todas as rotas de pacientes requerem autenticação
+router.use(authMiddleware);
+
+// Cadastro mantido pela recepção
+const recepcao = requireRole(['ATENDENTE', 'ADMIN']);
+
+router.get('/', recepcao, validate(listPacientesSchema), listPacientes);
+router.post('/', recepcao, validate(createPacienteSchema), createPaciente);
+router.get('/:id', recepcao, validate({ params: paramsId }), getPaciente);
+router.put('/:id', recepcao, validate(updatePacienteSchema), updatePaciente);
+router.post('/:id/enviar-ativacao', recepcao, validate({ params: paramsId }), enviarAtivacao);
+router.post('/:id/anonimizar', requireRole(['ADMIN']), validate({ params: paramsId }), anonimizar);
+
+router.get('/:id/analitos/:codigo/historico', validate(historicoAnalitoSchema), getHistoricoAnalito);
+
+export default router;
@@ -1,5 +1,8 @@
 import express from 'express';
 import { authMiddleware } from '../middlewares/auth.js';
+import { validate } from '../middlewares/validate.js';
+import { paramsId } from '../schemas/comum.js';
+import { registerPushTokenSchema } from '../schemas/pushTokens.js';
 import {
     registerPushToken,
     deletePushToken
@@ -10,7 +13,7 @@ const router = express.Router();
 // Todas as rotas de push tokens requerem autenticação
 router.use(authMiddleware);
 
-router.post('/', registerPushToken);
-router.delete('/:id', deletePushToken);
+router.post('/', validate(registerPushTokenSchema), registerPushToken);
+router.delete('/:id', validate({ params: paramsId }), deletePushToken);
 
 export default router;
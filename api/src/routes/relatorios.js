@@ -0,0 +1,15 @@
+import express from 'express';
+import { authMiddleware, requireRole } from '../middlewares/auth.js';
+import { validate } from '../middlewares/validate.js';
+import { relatorioPeriodoSchema } from '../schemas/relatorios.js';
+import { getRelatorioCancelamentos } from '../controllers/relatorioController.js';
+
+const router = express.Router();
+
+// Relatórios do dashboard administrativo
+router.use(authMiddleware);
+router.use(requireRole(['ADMIN']));
+
+router.get('/cancelamentos', validate(relatorioPeriodoSchema), getRelatorioCancelamentos);
+
+export default router;
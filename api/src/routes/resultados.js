@@ -1,18 +1,58 @@
 import express from 'express';
 import { authMiddleware } from '../middlewares/auth.js';
+import { validate } from '../middlewares/validate.js';
+import { uploadArquivosResultado } from '../middlewares/upload.js';
+import { paramsId } from '../schemas/comum.js';
+import {
+    createResultadoSchema,
+    listResultadosSchema,
+    updateResultadoSchema,
+    solicitarRevisaoSchema,
+    revisarResultadoSchema,
+    publicarResultadoSchema,
+    retificarResultadoSchema,
+    arquivoParamsSchema
+} from '../schemas/resultados.js';
+import { createCompartilhamentoSchema, compartilhamentoParamsSchema } from '../schemas/compartilhamentos.js';
 import {
     createResultado,
     listResultados,
-    getResultado
+    getResultado,
+    updateResultado,
+    solicitarRevisaoResultado,
+    revisarResultado,
+    publicarResultado,
+    retificarResultado,
+    getVersoesResultado,
+    uploadArquivos,
+    downloadArquivo,
+    deleteArquivo
 } from '../controllers/resultadoController.js';
+import {
+    createCompartilhamento,
+    listCompartilhamentos,
+    revogarCompartilhamento
+} from '../controllers/compartilhamentoController.js';
 
 const router = express.Router();
 
 // Todas as rotas de resultados requerem autenticação
 router.use(authMiddleware);
 
-router.post('/', createResultado);
-router.get('/', listResultados);
-router.get('/:id', getResultado);
+router.post('/', validate(createResultadoSchema), createResultado);
+router.get('/', validate(listResultadosSchema), listResultados);
+router.get('/:id', validate({ params: paramsId }), getResultado);
+router.put('/:id', validate(updateResultadoSchema), updateResultado);
+router.post('/:id/solicitar-revisao', validate(solicitarRevisaoSchema), solicitarRevisaoResultado);
+router.post('/:id/revisar', validate(revisarResultadoSchema), revisarResultado);
+router.post('/:id/publicar', validate(publicarResultadoSchema), publicarResultado);
+router.post('/:id/retificar', validate(retificarResultadoSchema), retificarResultado);
+router.get('/:id/versoes', validate({ params: paramsId }), getVersoesResultado);
+router.post('/:id/arquivos', validate({ params: paramsId }), uploadArquivosResultado, uploadArquivos);
+router.get('/:id/arquivos/:arquivoId', validate(arquivoParamsSchema), downloadArquivo);
+router.delete('/:id/arquivos/:arquivoId', validate(arquivoParamsSchema), deleteArquivo);
+router.post('/:id/compartilhar', validate(createCompartilhamentoSchema), createCompartilhamento);
+router.get('/:id/compartilhamentos', validate({ params: paramsId }), listCompartilhamentos);
+router.delete('/:id/compartilhamentos/:compartilhamentoId', validate(compartilhamentoParamsSchema), revogarCompartilhamento);
 
 export default router;
@@ -0,0 +1,32 @@
+import express from 'express';
+import { authMiddleware, requireRole } from '../middlewares/auth.js';
+import { validate } from '../middlewares/validate.js';
+import { paramsId } from '../schemas/comum.js';
+import {
+    listTiposExameSchema,
+    createTipoExameSchema,
+    updateTipoExameSchema,
+    updateAnalitosSchema
+} from '../schemas/tiposExame.js';
+import {
+    listTiposExame,
+    getTipoExame,
+    createTipoExame,
+    updateTipoExame,
+    updateAnalitos,
+    deleteTipoExame
+} from '../controllers/tipoExameController.js';
+
+const router = express.Router();
+
+// Catálogo visível a todos os usuários autenticados; manutenção apenas por ADMIN
+router.use(authMiddleware);
+
+router.get('/', validate(listTiposExameSchema), listTiposExame);
+router.get('/:id', validate({ params: paramsId }), getTipoExame);
+router.post('/', requireRole(['ADMIN']), validate(createTipoExameSchema), createTipoExame);
+router.put('/:id', requireRole(['ADMIN']), validate(updateTipoExameSchema), updateTipoExame);
+router.put('/:id/analitos', requireRole(['ADMIN']), validate(updateAnalitosSchema), updateAnalitos);
+router.delete('/:id', requireRole(['ADMIN']), validate({ params: paramsId }), deleteTipoExame);
+
+export default router;
@@ -1,5 +1,8 @@
 import express from 'express';
 import { authMiddleware, requireRole } from '../middlewares/auth.js';
+import { validate } from '../middlewares/validate.js';
+import { paramsId } from '../schemas/comum.js';
+import { listUsersSchema, createUserSchema, updateUserSchema } from '../schemas/users.js';
 import {
     listUsers,
     createUser,
@@ -14,10 +17,10 @@ const router = express.Router();
 router.use(authMiddleware);
 router.use(requireRole(['ADMIN']));
 
-router.get('/', listUsers);
-router.post('/', createUser);
-router.get('/:id', getUser);
-router.put('/:id', updateUser);
-router.delete('/:id', deleteUser);
+router.get('/', validate(listUsersSchema), listUsers);
+router.post('/', validate(createUserSchema), createUser);
+router.get('/:id', validate({ params: paramsId }), getUser);
+router.put('/:id', validate(updateUserSchema), updateUser);
+router.delete('/:id', validate({ params: paramsId }), deleteUser);
 
 export default router;
@@ -0,0 +1,86 @@
+import { z } from 'zod';
+import {
+    dia,
+    exigirObservacaoParaOutro,
+    hora,
+    id,
+    motivoCancelamento,
+    paginacao,
+    paramsId,
+    periodo,
+    validarPeriodo
+} from './comum.js';
+
+// Schemas compartilhados por consultas e exames
+
+export const STATUS_AGENDAMENTO = ['AGENDADA', 'REALIZADA', 'CANCELADA', 'NAO_COMPARECEU'];
+
+const detalhes = z.string().trim().max(2000);
+
+const agendamento = z.object({
+    pacienteId: id,
+    medicoId: id,
+    dia,
+    hora,
+    detalhes: detalhes.optional()
+});
+
+export const createConsultaSchema = {
+    body: agendamento
+};
+
+export const createExameSchema = {
+    body: agendamento.extend({
+        tipoExameId: id
+    })
+};
+
+export const updateAgendamentoSchema = {
+    params: paramsId,
+    body: z.object({
+        status: z.enum(STATUS_AGENDAMENTO).optional(),
+        detalhes: detalhes.nullable().optional(),
+        motivo: motivoCancelamento.optional(),
+        observacao: z.string().max(500).optional()
+    }).superRefine((dados, ctx) => {
+        if (dados.status !== 'CANCELADA') return;
+
+        if (!dados.motivo) {
+            ctx.addIssue({
+                code: z.ZodIssueCode.custom,
+                path: ['motivo'],
+                message: 'O motivo do cancelamento é obrigatório'
+            });
+        }
+        exigirObservacaoParaOutro(dados, ctx);
+    })
+};
+
+export const cancelAgendamentoSchema = {
+    params: paramsId,
+    body: z.object({
+        motivo: motivoCancelamento,
+        observacao: z.string().max(500).optional()
+    }).superRefine(exigirObservacaoParaOutro)
+};
+
+export const remarcarAgendamentoSchema = {
+    params: paramsId,
+    body: z.object({
+        dia,
+        hora,
+        medicoId: id.optional(),
+        motivo: z.string().trim().max(500).optional()
+    })
+};
+
+// Listagens de consultas e exames (o perfil PACIENTE/MEDICO continua restrito aos próprios registros)
+export const listAgendamentosSchema = {
+    query: z.object({
+        status: z.enum(STATUS_AGENDAMENTO).optional(),
+        medicoId: id.optional(),
+        pacienteId: id.optional(),
+        ...periodo,
+        ...paginacao(['dataHora', 'criadoEm', 'status'], { orderBy: 'dataHora', order: 'asc' })
+    }).superRefine(validarPeriodo)
+};
@@ -0,0 +1,16 @@
+import { z } from 'zod';
+import { MODELOS_AUDITADOS } from '../services/auditoriaService.js';
+import { id, periodo, validarPeriodo, paginacao } from './comum.js';
+
+export const ACOES_AUDITORIA = ['CRIACAO', 'ATUALIZACAO', 'REMOCAO'];
+
+export const listAuditoriaSchema = {
+    query: z.object({
+        entidade: z.enum(MODELOS_AUDITADOS).optional(),
+        entidadeId: id.optional(),
+        atorId: id.optional(),
+        acao: z.enum(ACOES_AUDITORIA).optional(),
+        ...periodo,
+        ...paginacao(['criadoEm'], { orderBy: 'criadoEm', order: 'desc' })
+    }).superRefine(validarPeriodo)
+};
@@ -0,0 +1,38 @@
+import { z } from 'zod';
+import { email, senha, texto } from './comum.js';
+
+export const registerSchema = {
+    body: z.object({
+        nome: texto.max(120),
+        email,
+        senha
+    })
+};
+
+export const loginSchema = {
+    body: z.object({
+        email: texto,
+        senha: z.string().min(1),
+        dispositivo: texto.max(100).optional()
+    })
+};
+
+// refresh e logout
+export const refreshTokenSchema = {
+    body: z.object({
+        refreshToken: texto
+    })
+};
+
+export const esqueciSenhaSchema = {
+    body: z.object({
+        email
+    })
+};
+
+export const redefinirSenhaSchema = {
+    body: z.object({
+        token: texto,
+        senha
+    })
+};
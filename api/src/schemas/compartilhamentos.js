@@ -0,0 +1,26 @@
+import { z } from 'zod';
+import { VALIDADE_MAXIMA_HORAS } from '../services/compartilhamentoService.js';
+import { id, paramsId, texto } from './comum.js';
+
+export const createCompartilhamentoSchema = {
+    params: paramsId,
+    body: z.object({
+        validadeHoras: z.number().int().min(1).max(VALIDADE_MAXIMA_HORAS).optional(),
+        pin: z.string().regex(/^\d{4,8}$/, 'O PIN deve ter de 4 a 8 dígitos').optional(),
+        destinatario: texto.max(120).optional()
+    })
+};
+
+export const compartilhamentoParamsSchema = {
+    params: z.object({ id, compartilhamentoId: id })
+};
+
+const token = texto.max(128);
+
+export const acessoCompartilhadoSchema = {
+    params: z.object({ token })
+};
+
+export const arquivoCompartilhadoSchema = {
+    params: z.object({ token, arquivoId: id })
+};
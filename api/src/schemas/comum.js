@@ -0,0 +1,133 @@
+import { z } from 'zod';
+import { horaParaMinutos, parseDia } from '../services/agendaService.js';
+import { MOTIVOS_CANCELAMENTO } from '../services/cancelamentoService.js';
+import { cpfValido, normalizarCpf } from '../utils/cpf.js';
+
+// Mensagens padrão em português para os erros que não definem mensagem própria
+z.setErrorMap((issue, ctx) => {
+    switch (issue.code) {
+        case z.ZodIssueCode.invalid_type:
+            return {
+                message: issue.received === 'undefined' ? 'Campo obrigatório' : `Tipo inválido (esperado ${issue.expected})`
+            };
+        case z.ZodIssueCode.invalid_enum_value:
+            return { message: `Valor inválido (use ${issue.options.join(', ')})` };
+        case z.ZodIssueCode.unrecognized_keys:
+            return { message: `Campos não permitidos: ${issue.keys.join(', ')}` };
+        case z.ZodIssueCode.too_small:
+            return issue.type === 'string'
+                ? { message: issue.minimum === 1 ? 'Campo obrigatório' : `Deve ter no mínimo ${issue.minimum} caracteres` }
+                : { message: `Deve ser no mínimo ${issue.minimum}` };
+        case z.ZodIssueCode.too_big:
+            return issue.type === 'string'
+                ? { message: `Deve ter no máximo ${issue.maximum} caracteres` }
+                : { message: `Deve ser no máximo ${issue.maximum}` };
+        default:
+            return { message: ctx.defaultError };
+    }
+});
+
+export const id = z.string().trim().min(1);
+
+export const paramsId = z.object({ id });
+
+export const texto = z.string().trim().min(1);
+
+export const email = z.string().trim().email('Email inválido');
+
+export const senha = z.string().min(8, 'A senha deve ter no mínimo 8 caracteres').max(72);
+
+// Código de catálogo (ex.: analito "HGB"), normalizado em maiúsculas
+export const codigo = z.string().trim().toUpperCase()
+    .regex(/^[A-Z0-9_-]{1,20}$/, 'Código inválido (use até 20 letras, números, _ ou -)');
+
+// CPF com ou sem pontuação, normalizado para apenas dígitos
+export const cpf = z.string().trim()
+    .refine(cpfValido, 'CPF inválido')
+    .transform(normalizarCpf);
+
+// Telefone com DDD (fixo ou celular), ex.: "(11) 98765-4321", normalizado para apenas dígitos
+export const telefone = z.string().trim()
+    .regex(/^\(?\d{2}\)?[ -]?\d{4,5}[ -]?\d{4}$/, 'Telefone inválido (informe DDD e número)')
+    .transform((valor) => valor.replace(/\D/g, ''));
+
+export const UFS = [
+    'AC', 'AL', 'AM', 'AP', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MG', 'MS', 'MT', 'PA',
+    'PB', 'PE', 'PI', 'PR', 'RJ', 'RN', 'RO', 'RR', 'RS', 'SC', 'SE', 'SP', 'TO'
+];
+
+export const uf = z.string().trim().toUpperCase().pipe(z.enum(UFS));
+
+export const PERFIS = ['ADMIN', 'PACIENTE', 'ATENDENTE', 'MEDICO'];
+
+export const perfil = z.enum(PERFIS);
+
+// Data no formato YYYY-MM-DD que exista no calendário
+export const dia = z.string().refine(
+    (valor) => /^\d{4}-\d{2}-\d{2}$/.test(valor) && parseDia(valor) !== null,
+    'Data inválida (use o formato YYYY-MM-DD)'
+);
+
+// Hora no formato HH:mm (00:00 a 23:59)
+export const hora = z.string().refine((valor) => horaParaMinutos(valor) !== null, 'Hora inválida (use o formato HH:mm)');
+
+// Booleano vindo da query string ("true" / "false")
+export const booleanoQuery = z.enum(['true', 'false']).transform((valor) => valor === 'true');
+
+export const motivoCancelamento = z.enum(MOTIVOS_CANCELAMENTO);
+
+// Motivo OUTRO exige a descrição na observação
+export const exigirObservacaoParaOutro = (dados, ctx) => {
+    if (dados.motivo === 'OUTRO' && !dados.observacao?.trim()) {
+        ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: ['observacao'],
+            message: 'Descreva o motivo na observação quando ele for OUTRO'
+        });
+    }
+};
+
+// Exige que a faixa inicio-fim seja informada completa e com inicio < fim
+export const validarFaixaHorario = (inicio, fim) => (dados, ctx) => {
+    if (!dados[inicio] && !dados[fim]) return;
+
+    const minutosInicio = dados[inicio] ? horaParaMinutos(dados[inicio]) : null;
+    const minutosFim = dados[fim] ? horaParaMinutos(dados[fim]) : null;
+
+    if (minutosInicio === null || minutosFim === null || minutosInicio >= minutosFim) {
+        ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: [fim],
+            message: `Faixa de horário inválida (${inicio} deve ser anterior a ${fim})`
+        });
+    }
+};
+
+export const LIMITE_PAGINA_MAXIMO = 100;
+
+/**
+ * Campos de paginação (page/limit) e ordenação das listagens.
+ * camposOrdenacao: campos aceitos em orderBy; padrao: { orderBy, order }
+ */
+export const paginacao = (camposOrdenacao, padrao) => ({
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(LIMITE_PAGINA_MAXIMO).default(20),
+    orderBy: z.enum(camposOrdenacao).default(padrao.orderBy),
+    order: z.enum(['asc', 'desc']).default(padrao.order)
+});
+
+// Filtro de intervalo de datas (de/ate inclusivos) usado nas listagens
+export const periodo = {
+    de: dia.optional(),
+    ate: dia.optional()
+};
+
+export const validarPeriodo = (dados, ctx) => {
+    if (dados.de && dados.ate && dados.de > dados.ate) {
+        ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: ['ate'],
+            message: 'A data final deve ser igual ou posterior à inicial'
+        });
+    }
+};
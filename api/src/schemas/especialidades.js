@@ -0,0 +1,29 @@
+import { z } from 'zod';
+import { paramsId, texto, booleanoQuery } from './comum.js';
+
+const especialidade = {
+    nome: texto.max(100),
+    descricao: z.string().trim().max(1000)
+};
+
+export const listEspecialidadesSchema = {
+    query: z.object({
+        ativo: booleanoQuery.optional()
+    })
+};
+
+export const createEspecialidadeSchema = {
+    body: z.object({
+        nome: especialidade.nome,
+        descricao: especialidade.descricao.optional()
+    })
+};
+
+export const updateEspecialidadeSchema = {
+    params: paramsId,
+    body: z.object({
+        nome: especialidade.nome.optional(),
+        descricao: especialidade.descricao.nullable().optional(),
+        ativo: z.boolean().optional()
+    })
+};
@@ -0,0 +1,11 @@
+import { z } from 'zod';
+import { paginacao } from './comum.js';
+
+export const listLembretesSchema = {
+    query: z.object({
+        status: z.enum(['PENDENTE', 'ENVIADO', 'CANCELADO', 'FALHOU']).optional(),
+        ...paginacao(['enviarEm', 'criadoEm'], { orderBy: 'enviarEm', order: 'desc' }),
+        // Sem order: pendentes pelos próximos envios, os demais pelos mais recentes
+        order: z.enum(['asc', 'desc']).optional()
+    })
+};
@@ -0,0 +1,48 @@
+import { z } from 'zod';
+import { email, senha, texto, periodo, validarPeriodo, paginacao } from './comum.js';
+import { perfilPaciente } from './pacientes.js';
+
+// A troca de email exige a senha atual
+export const updateMeSchema = {
+    body: z.object({
+        nome: texto.max(120).optional(),
+        email: email.optional(),
+        senhaAtual: z.string().min(1).optional()
+    }).superRefine((dados, ctx) => {
+        if (dados.nome === undefined && dados.email === undefined) {
+            ctx.addIssue({
+                code: z.ZodIssueCode.custom,
+                path: [],
+                message: 'Informe nome ou email'
+            });
+        }
+    })
+};
+
+export const alterarSenhaSchema = {
+    body: z.object({
+        senhaAtual: z.string().min(1),
+        novaSenha: senha
+    }).refine((dados) => dados.senhaAtual !== dados.novaSenha, {
+        message: 'A nova senha deve ser diferente da atual',
+        path: ['novaSenha']
+    })
+};
+
+export const desativarContaSchema = {
+    body: z.object({
+        senha: z.string().min(1),
+        motivo: z.string().trim().max(500).optional()
+    })
+};
+
+export const updateMeuPerfilSchema = {
+    body: perfilPaciente
+};
+
+export const listMeusAcessosSchema = {
+    query: z.object({
+        ...periodo,
+        ...paginacao(['criadoEm'], { orderBy: 'criadoEm', order: 'desc' })
+    }).superRefine(validarPeriodo)
+};
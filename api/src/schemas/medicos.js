@@ -0,0 +1,83 @@
+import { z } from 'zod';
+import { parseDia } from '../services/agendaService.js';
+import { dia, hora, id, paramsId, texto, uf, validarFaixaHorario, paginacao } from './comum.js';
+
+const PERIODO_MAXIMO_DIAS = 62;
+
+// Listagem pública: especialidade aceita o id ou o nome (ex.: ?especialidade=Cardiologia)
+export const listMedicosSchema = {
+    query: z.object({
+        especialidade: texto.max(100).optional(),
+        busca: z.string().trim().min(1).max(100).optional(),
+        ...paginacao(['nome'], { orderBy: 'nome', order: 'asc' })
+    })
+};
+
+// O perfil é substituído por inteiro; campos opcionais omitidos ficam vazios
+export const updatePerfilMedicoSchema = {
+    params: paramsId,
+    body: z.object({
+        crm: z.string().trim().regex(/^\d{4,10}$/, 'CRM inválido (use apenas os números do registro)'),
+        ufCrm: uf,
+        bio: z.string().trim().max(2000).nullable().optional(),
+        fotoUrl: z.string().trim().url('URL inválida').max(500).nullable().optional(),
+        duracaoConsultaMinutos: z.number().int().min(5).max(480).nullable().optional(),
+        especialidadeIds: z.array(id).max(20).default([]).transform((ids) => [...new Set(ids)])
+    })
+};
+
+// Período padrão: a partir de hoje, por 7 dias
+export const horariosLivresSchema = {
+    params: paramsId,
+    query: z.object({
+        de: dia.optional(),
+        ate: dia.optional()
+    }).transform(({ de, ate }, ctx) => {
+        const inicio = de ? parseDia(de) : new Date(new Date().setHours(0, 0, 0, 0));
+        const fim = ate ? parseDia(ate) : new Date(inicio.getFullYear(), inicio.getMonth(), inicio.getDate() + 6);
+
+        const dias = Math.round((fim - inicio) / 86400000) + 1;
+        if (dias < 1 || dias > PERIODO_MAXIMO_DIAS) {
+            ctx.addIssue({
+                code: z.ZodIssueCode.custom,
+                path: ['ate'],
+                message: `O período deve ter entre 1 e ${PERIODO_MAXIMO_DIAS} dias`
+            });
+            return z.NEVER;
+        }
+
+        return { de: inicio, ate: fim };
+    })
+};
+
+const disponibilidade = z.object({
+    diaSemana: z.number().int().min(0).max(6),
+    horaInicio: hora,
+    horaFim: hora,
+    duracaoSlot: z.number().int().min(5).max(480).default(30),
+    pausaInicio: hora.nullable().optional(),
+    pausaFim: hora.nullable().optional()
+})
+    .superRefine(validarFaixaHorario('horaInicio', 'horaFim'))
+    .superRefine(validarFaixaHorario('pausaInicio', 'pausaFim'));
+
+export const updateDisponibilidadeSchema = {
+    params: paramsId,
+    body: z.object({
+        disponibilidades: z.array(disponibilidade)
+    })
+};
+
+export const createExcecaoSchema = {
+    params: paramsId,
+    body: z.object({
+        dia,
+        horaInicio: hora.optional(),
+        horaFim: hora.optional(),
+        motivo: z.string().trim().max(255).optional()
+    }).superRefine(validarFaixaHorario('horaInicio', 'horaFim'))
+};
+
+export const excecaoParamsSchema = {
+    params: z.object({ id, excecaoId: id })
+};
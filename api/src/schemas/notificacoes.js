@@ -0,0 +1,9 @@
+import { z } from 'zod';
+import { booleanoQuery, paginacao } from './comum.js';
+
+export const listNotificacoesSchema = {
+    query: z.object({
+        lida: booleanoQuery.optional(),
+        ...paginacao(['criadoEm'], { orderBy: 'criadoEm', order: 'desc' })
+    })
+};
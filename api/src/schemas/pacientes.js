@@ -0,0 +1,81 @@
+import { z } from 'zod';
+import { parseDia } from '../services/agendaService.js';
+import { id, paramsId, codigo, periodo, validarPeriodo, dia, cpf, telefone, uf, texto, email, booleanoQuery, paginacao } from './comum.js';
+
+export const historicoAnalitoSchema = {
+    params: z.object({ id, codigo }),
+    query: z.object({
+        ...periodo
+    }).superRefine(validarPeriodo)
+};
+
+const opcional = (schema) => schema.nullable().optional();
+
+const textoCurto = z.string().trim().min(1).max(100);
+
+/**
+ * Cadastro do paciente (PUT substitui o perfil inteiro: campos omitidos ficam vazios).
+ * Telefones, CEP e CPF são gravados apenas com dígitos.
+ */
+export const perfilPaciente = z.object({
+    cpf,
+    dataNascimento: opcional(dia
+        .transform(parseDia)
+        .refine((data) => data <= new Date(), 'A data de nascimento não pode estar no futuro')),
+    telefone: opcional(telefone),
+    cep: opcional(z.string().trim()
+        .regex(/^\d{5}-?\d{3}$/, 'CEP inválido')
+        .transform((valor) => valor.replace(/\D/g, ''))),
+    logradouro: opcional(z.string().trim().min(1).max(200)),
+    numero: opcional(z.string().trim().min(1).max(20)),
+    complemento: opcional(textoCurto),
+    bairro: opcional(textoCurto),
+    cidade: opcional(textoCurto),
+    uf: opcional(uf),
+    contatoEmergenciaNome: opcional(textoCurto),
+    contatoEmergenciaTelefone: opcional(telefone),
+    contatoEmergenciaParentesco: opcional(z.string().trim().min(1).max(50)),
+    convenioNome: opcional(textoCurto),
+    convenioCarteirinha: opcional(z.string().trim().min(1).max(50)),
+    convenioValidade: opcional(dia.transform(parseDia)),
+    alergias: z.array(textoCurto).max(50).default([]).transform((lista) => [...new Set(lista)])
+}).superRefine((dados, ctx) => {
+    if ((dados.convenioCarteirinha || dados.convenioValidade) && !dados.convenioNome) {
+        ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: ['convenioNome'],
+            message: 'Informe o convênio da carteirinha'
+        });
+    }
+
+    if (dados.contatoEmergenciaNome && !dados.contatoEmergenciaTelefone) {
+        ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: ['contatoEmergenciaTelefone'],
+            message: 'Informe o telefone do contato de emergência'
+        });
+    }
+});
+
+export const updatePacienteSchema = {
+    params: paramsId,
+    body: perfilPaciente
+};
+
+export const listPacientesSchema = {
+    query: z.object({
+        busca: z.string().trim().min(2, 'Informe ao menos 2 caracteres').max(100).optional(),
+        ativo: booleanoQuery.optional(),
+        ...paginacao(['nome', 'criadoEm'], { orderBy: 'nome', order: 'asc' })
+    })
+};
+
+// Paciente cadastrado na recepção (sem senha); o perfil pode ser preenchido já no cadastro
+export const createPacienteSchema = {
+    body: z.object({
+        nome: texto.max(120),
+        email,
+        enviarAtivacao: z.boolean().default(true),
+        perfilPaciente: perfilPaciente.optional()
+    })
+};
@@ -0,0 +1,9 @@
+import { z } from 'zod';
+import { texto } from './comum.js';
+
+export const registerPushTokenSchema = {
+    body: z.object({
+        token: texto.max(255),
+        plataforma: z.enum(['ios', 'android', 'web'])
+    })
+};
@@ -0,0 +1,26 @@
+import { z } from 'zod';
+import { parseDia } from '../services/agendaService.js';
+import { dia } from './comum.js';
+
+// Período padrão: últimos 30 dias. "ate" é inclusivo (devolvido como o dia seguinte, exclusivo)
+export const relatorioPeriodoSchema = {
+    query: z.object({
+        de: dia.optional(),
+        ate: dia.optional()
+    }).transform(({ de, ate }, ctx) => {
+        const hoje = new Date(new Date().setHours(0, 0, 0, 0));
+        const inicio = de ? parseDia(de) : new Date(hoje.getFullYear(), hoje.getMonth(), hoje.getDate() - 30);
+        const fim = ate ? parseDia(ate) : hoje;
+
+        if (inicio > fim) {
+            ctx.addIssue({
+                code: z.ZodIssueCode.custom,
+                path: ['ate'],
+                message: 'A data final deve ser igual ou posterior à inicial'
+            });
+            return z.NEVER;
+        }
+
+        return { de: inicio, ate: new Date(fim.getFullYear(), fim.getMonth(), fim.getDate() + 1) };
+    })
+};
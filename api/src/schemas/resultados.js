@@ -0,0 +1,118 @@
+import { z } from 'zod';
+import { id, paramsId, codigo, texto, paginacao, periodo, validarPeriodo } from './comum.js';
+
+export const STATUS_RESULTADO = ['RASCUNHO', 'AGUARDANDO_REVISAO', 'PUBLICADO', 'RETIFICADO'];
+
+const detalhes = z.string().trim().max(5000);
+const arquivoUrl = z.string().trim().url('URL inválida');
+
+// Valor de um analito no laudo: numérico (valor) ou qualitativo (valorTexto)
+const valorAnalito = z.object({
+    codigo,
+    nome: texto.max(100).optional(),
+    valor: z.number().finite().optional(),
+    valorTexto: z.string().trim().min(1).max(200).optional(),
+    unidade: z.string().trim().min(1).max(20).optional(),
+    referenciaMin: z.number().finite().optional(),
+    referenciaMax: z.number().finite().optional(),
+    alterado: z.boolean().optional()
+}).superRefine((dados, ctx) => {
+    if ((dados.valor === undefined) === (dados.valorTexto === undefined)) {
+        ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: ['valor'],
+            message: 'Informe valor (numérico) ou valorTexto (qualitativo)'
+        });
+    }
+
+    if (dados.referenciaMin !== undefined && dados.referenciaMax !== undefined && dados.referenciaMin > dados.referenciaMax) {
+        ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: ['referenciaMax'],
+            message: 'referenciaMax deve ser maior ou igual a referenciaMin'
+        });
+    }
+});
+
+const analitos = z.array(valorAnalito).max(100).superRefine((lista, ctx) => {
+    const codigos = lista.map((analito) => analito.codigo);
+    codigos.forEach((valor, indice) => {
+        if (codigos.indexOf(valor) !== indice) {
+            ctx.addIssue({
+                code: z.ZodIssueCode.custom,
+                path: [indice, 'codigo'],
+                message: `Analito ${valor} repetido`
+            });
+        }
+    });
+});
+
+export const createResultadoSchema = {
+    body: z.object({
+        exameId: id,
+        detalhes: detalhes.optional(),
+        arquivoUrl: arquivoUrl.optional(),
+        analitos: analitos.optional()
+    })
+};
+
+export const updateResultadoSchema = {
+    params: paramsId,
+    body: z.object({
+        detalhes: detalhes.optional(),
+        arquivoUrl: arquivoUrl.nullable().optional(),
+        analitos: analitos.optional()
+    })
+};
+
+export const solicitarRevisaoSchema = {
+    params: paramsId,
+    body: z.object({
+        revisorId: id
+    })
+};
+
+export const revisarResultadoSchema = {
+    params: paramsId,
+    body: z.object({
+        aprovado: z.boolean(),
+        comentario: z.string().trim().max(1000).optional()
+    }).refine((dados) => dados.aprovado || dados.comentario, {
+        message: 'Informe o comentário ao devolver o resultado',
+        path: ['comentario']
+    })
+};
+
+export const publicarResultadoSchema = {
+    params: paramsId,
+    body: z.object({
+        publicarEm: z.string().datetime({ offset: true, message: 'Data/hora inválida (use ISO 8601)' })
+            .transform((valor) => new Date(valor))
+            .optional()
+    })
+};
+
+export const retificarResultadoSchema = {
+    params: paramsId,
+    body: z.object({
+        detalhes: detalhes.optional(),
+        arquivoUrl: arquivoUrl.optional(),
+        analitos: analitos.optional(),
+        motivo: z.string().trim().min(1).max(1000)
+    })
+};
+
+export const listResultadosSchema = {
+    query: z.object({
+        exameId: id.optional(),
+        medicoId: id.optional(),
+        pacienteId: id.optional(),
+        status: z.enum(STATUS_RESULTADO).optional(),
+        ...periodo,
+        ...paginacao(['publicadoEm', 'criadoEm'], { orderBy: 'publicadoEm', order: 'desc' })
+    }).superRefine(validarPeriodo)
+};
+
+export const arquivoParamsSchema = {
+    params: z.object({ id, arquivoId: id })
+};
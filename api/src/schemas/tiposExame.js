@@ -0,0 +1,69 @@
+import { z } from 'zod';
+import { id, paramsId, codigo, texto, booleanoQuery } from './comum.js';
+
+// Analito esperado para o tipo de exame, com a faixa de referência padrão
+const analitoCatalogo = z.object({
+    codigo,
+    nome: texto.max(100),
+    unidade: z.string().trim().min(1).max(20).optional(),
+    referenciaMin: z.number().finite().optional(),
+    referenciaMax: z.number().finite().optional()
+}).refine(
+    (dados) => dados.referenciaMin === undefined || dados.referenciaMax === undefined || dados.referenciaMin <= dados.referenciaMax,
+    { message: 'referenciaMax deve ser maior ou igual a referenciaMin', path: ['referenciaMax'] }
+);
+
+const analitos = z.array(analitoCatalogo).max(100).refine(
+    (lista) => new Set(lista.map((analito) => analito.codigo)).size === lista.length,
+    'Códigos de analito repetidos'
+);
+
+const tipoExame = {
+    codigo,
+    nome: texto.max(100),
+    instrucoesPreparo: z.string().trim().max(2000),
+    duracaoPadraoMinutos: z.number().int().min(5).max(480),
+    requerJejum: z.boolean(),
+    medicoIds: z.array(id).max(200).transform((ids) => [...new Set(ids)]),
+    especialidadeIds: z.array(id).max(50).transform((ids) => [...new Set(ids)])
+};
+
+export const listTiposExameSchema = {
+    query: z.object({
+        ativo: booleanoQuery.optional(),
+        busca: z.string().trim().min(1).max(100).optional()
+    })
+};
+
+export const createTipoExameSchema = {
+    body: z.object({
+        ...tipoExame,
+        instrucoesPreparo: tipoExame.instrucoesPreparo.optional(),
+        duracaoPadraoMinutos: tipoExame.duracaoPadraoMinutos.default(30),
+        requerJejum: tipoExame.requerJejum.default(false),
+        medicoIds: tipoExame.medicoIds.default([]),
+        especialidadeIds: tipoExame.especialidadeIds.default([]),
+        analitos: analitos.default([])
+    })
+};
+
+export const updateTipoExameSchema = {
+    params: paramsId,
+    body: z.object({
+        codigo: tipoExame.codigo.optional(),
+        nome: tipoExame.nome.optional(),
+        instrucoesPreparo: tipoExame.instrucoesPreparo.nullable().optional(),
+        duracaoPadraoMinutos: tipoExame.duracaoPadraoMinutos.optional(),
+        requerJejum: tipoExame.requerJejum.optional(),
+        medicoIds: tipoExame.medicoIds.optional(),
+        especialidadeIds: tipoExame.especialidadeIds.optional(),
+        ativo: z.boolean().optional()
+    })
+};
+
+export const updateAnalitosSchema = {
+    params: paramsId,
+    body: z.object({
+        analitos
+    })
+};
@@ -0,0 +1,31 @@
+import { z } from 'zod';
+import { booleanoQuery, email, paginacao, paramsId, perfil, senha, texto } from './comum.js';
+
+export const listUsersSchema = {
+    query: z.object({
+        perfil: perfil.optional(),
+        ativo: booleanoQuery.optional(),
+        busca: texto.max(120).optional(),
+        ...paginacao(['nome', 'email', 'criadoEm'], { orderBy: 'criadoEm', order: 'desc' })
+    })
+};
+
+export const createUserSchema = {
+    body: z.object({
+        nome: texto.max(120),
+        email,
+        senha,
+        perfil
+    })
+};
+
+export const updateUserSchema = {
+    params: paramsId,
+    body: z.object({
+        nome: texto.max(120).optional(),
+        email: email.optional(),
+        senha: senha.optional(),
+        perfil: perfil.optional(),
+        ativo: z.boolean().optional()
+    })
+};
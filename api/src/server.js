@@ -4,6 +4,8 @@ import cors from 'cors';
 import swaggerUi from 'swagger-ui-express';
 import swaggerSpec from './config/swagger.js';
 import { errorHandler } from './middlewares/errorHandler.js';
+import { auditoria } from './middlewares/auditoria.js';
+import { iniciarJobs } from './jobs/index.js';
 
 // Importar rotas
 import authRoutes from './routes/auth.js';
@@ -12,6 +14,16 @@ import consultaRoutes from './routes/consultas.js';
 import exameRoutes from './routes/exames.js';
 import resultadoRoutes from './routes/resultados.js';
 import pushTokenRoutes from './routes/pushTokens.js';
+import medicoRoutes from './routes/medicos.js';
+import relatorioRoutes from './routes/relatorios.js';
+import lembreteRoutes from './routes/lembretes.js';
+import notificacaoRoutes from './routes/notificacoes.js';
+import compartilhadoRoutes from './routes/compartilhado.js';
+import tipoExameRoutes from './routes/tiposExame.js';
+import pacienteRoutes from './routes/pacientes.js';
+import especialidadeRoutes from './routes/especialidades.js';
+import meRoutes from './routes/me.js';
+import auditoriaRoutes from './routes/auditoria.js';
 
 const app = express();
 const PORT = process.env.PORT || 3333;
@@ -19,6 +31,9 @@ const PORT = process.env.PORT || 3333;
 // Middlewares globais
 app.use(express.json());
 
+// Trilha de auditoria das rotas de escrita (antes das rotas)
+app.use(auditoria);
+
 // Configuração CORS melhorada para mobile e web
 const corsOptions = {
     origin: function (origin, callback) {
@@ -38,7 +53,7 @@ const corsOptions = {
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Share-Pin'],
     exposedHeaders: ['Content-Range', 'X-Content-Range'],
     maxAge: 86400 // 24 horas
 };
@@ -59,7 +74,17 @@ app.get('/', (req, res) => {
             consultas: '/consultas',
             exames: '/exames',
             resultados: '/resultados',
-            pushTokens: '/push-tokens'
+            pushTokens: '/push-tokens',
+            medicos: '/medicos',
+            relatorios: '/relatorios',
+            lembretes: '/lembretes',
+            notificacoes: '/notificacoes',
+            compartilhado: '/compartilhado',
+            tiposExame: '/tipos-exame',
+            pacientes: '/pacientes',
+            especialidades: '/especialidades',
+            me: '/me',
+            auditoria: '/auditoria'
         },
         environment: process.env.NODE_ENV || 'development'
     });
@@ -82,6 +107,16 @@ app.use('/consultas', consultaRoutes);
 app.use('/exames', exameRoutes);
 app.use('/resultados', resultadoRoutes);
 app.use('/push-tokens', pushTokenRoutes);
+app.use('/medicos', medicoRoutes);
+app.use('/relatorios', relatorioRoutes);
+app.use('/lembretes', lembreteRoutes);
+app.use('/notificacoes', notificacaoRoutes);
+app.use('/compartilhado', compartilhadoRoutes);
+app.use('/tipos-exame', tipoExameRoutes);
+app.use('/pacientes', pacienteRoutes);
+app.use('/especialidades', especialidadeRoutes);
+app.use('/me', meRoutes);
+app.use('/auditoria', auditoriaRoutes);
 
 // Rota 404
 app.use((req, res) => {
@@ -101,6 +136,11 @@ app.listen(PORT, () => {
     console.log('🚀 Servidor rodando na porta ' + PORT);
     console.log('🏥 Clínica API - Sistema de Consultas e Exames');
     console.log('📍 Ambiente:', process.env.NODE_ENV || 'development');
+
+    // Jobs em segundo plano (lembretes)
+    if (process.env.JOBS_ENABLED !== 'false') {
+        iniciarJobs();
+    }
 });
 
 export default app;
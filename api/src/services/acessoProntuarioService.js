@@ -0,0 +1,30 @@
+import prisma from '../config/database.js';
+
+const dadosAcesso = (req, { pacienteId, recurso, recursoId }) => ({
+    pacienteId,
+    usuarioId: req.userId,
+    usuarioPerfil: req.userPerfil,
+    recurso,
+    recursoId,
+    ip: req.ip,
+    userAgent: req.get('user-agent') || null
+});
+
+/**
+ * Registra a leitura de dados do paciente por um profissional (admin, atendente ou médico).
+ * Leituras do próprio paciente não são registradas.
+ * recurso: "Consulta", "Exame", "ResultadoExame", "ArquivoResultado", "HistoricoAnalito"
+ * (recursoId = código do analito), "PerfilPaciente" ou "Usuario".
+ */
+export const registrarAcessoProntuario = async (req, acesso) => {
+    if (req.userPerfil === 'PACIENTE') return;
+
+    await prisma.acessoProntuario.create({ data: dadosAcesso(req, acesso) });
+};
+
+// Leituras de vários registros (listagens, versões): um acesso por registro devolvido
+export const registrarAcessosProntuario = async (req, acessos) => {
+    if (req.userPerfil === 'PACIENTE' || acessos.length === 0) return;
+
+    await prisma.acessoProntuario.createMany({ data: acessos.map((acesso) => dadosAcesso(req, acesso)) });
+};
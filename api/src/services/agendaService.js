@@ -0,0 +1,177 @@
+import prisma from '../config/database.js';
+
+const HORA_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DIA_REGEX = /^(\d{4})-(\d{2})-(\d{2})/;
+
+// Converte "HH:mm" em minutos desde a meia-noite (null se inválido)
+export const horaParaMinutos = (hora) => {
+    const match = HORA_REGEX.exec(hora || '');
+    if (!match) return null;
+    return parseInt(match[1]) * 60 + parseInt(match[2]);
+};
+
+export const minutosParaHora = (minutos) => {
+    const h = String(Math.floor(minutos / 60)).padStart(2, '0');
+    const m = String(minutos % 60).padStart(2, '0');
+    return `${h}:${m}`;
+};
+
+// Interpreta "YYYY-MM-DD" (ou ISO) como meia-noite no fuso do servidor
+export const parseDia = (dia) => {
+    const match = DIA_REGEX.exec(dia instanceof Date ? formatarDia(dia) : String(dia || ''));
+    if (!match) return null;
+
+    const [, ano, mes, d] = match.map(Number);
+    const data = new Date(ano, mes - 1, d);
+
+    // Rejeita datas que "transbordam" (ex.: 2025-02-31)
+    if (data.getMonth() !== mes - 1 || data.getDate() !== d) return null;
+    return data;
+};
+
+export const formatarDia = (data) => {
+    const ano = data.getFullYear();
+    const mes = String(data.getMonth() + 1).padStart(2, '0');
+    const dia = String(data.getDate()).padStart(2, '0');
+    return `${ano}-${mes}-${dia}`;
+};
+
+// Combina dia e hora em um único DateTime (null se algum for inválido)
+export const montarDataHora = (dia, hora) => {
+    const data = parseDia(dia);
+    const minutos = horaParaMinutos(hora);
+    if (!data || minutos === null) return null;
+
+    data.setHours(Math.floor(minutos / 60), minutos % 60, 0, 0);
+    return data;
+};
+
+const sobrepoe = (inicioA, fimA, inicioB, fimB) => inicioA < fimB && inicioB < fimA;
+
+// Slots (em minutos do dia) publicados por uma faixa de disponibilidade
+const slotsDaDisponibilidade = (disponibilidade) => {
+    const inicio = horaParaMinutos(disponibilidade.horaInicio);
+    const fim = horaParaMinutos(disponibilidade.horaFim);
+    const pausaInicio = horaParaMinutos(disponibilidade.pausaInicio);
+    const pausaFim = horaParaMinutos(disponibilidade.pausaFim);
+    const duracao = disponibilidade.duracaoSlot;
+
+    const slots = [];
+    for (let t = inicio; t + duracao <= fim; t += duracao) {
+        if (pausaInicio !== null && pausaFim !== null && sobrepoe(t, t + duracao, pausaInicio, pausaFim)) {
+            continue;
+        }
+        slots.push({ inicio: t, duracao });
+    }
+    return slots;
+};
+
+const bloqueadoPorExcecao = (slot, excecoes) => {
+    return excecoes.some((excecao) => {
+        if (!excecao.horaInicio || !excecao.horaFim) return true;
+        return sobrepoe(
+            slot.inicio,
+            slot.inicio + slot.duracao,
+            horaParaMinutos(excecao.horaInicio),
+            horaParaMinutos(excecao.horaFim)
+        );
+    });
+};
+
+// Slots publicados em um dia, já descontadas as exceções
+const slotsDoDia = (dia, disponibilidades, excecoes) => {
+    const chave = formatarDia(dia);
+    const excecoesDoDia = excecoes.filter((excecao) => formatarDia(excecao.dia) === chave);
+
+    return disponibilidades
+        .filter((disponibilidade) => disponibilidade.diaSemana === dia.getDay())
+        .flatMap(slotsDaDisponibilidade)
+        .filter((slot) => !bloqueadoPorExcecao(slot, excecoesDoDia))
+        .sort((a, b) => a.inicio - b.inicio);
+};
+
+const buscarExcecoes = (db, medicoId, de, ate) => {
+    const fim = new Date(ate);
+    fim.setDate(fim.getDate() + 1);
+
+    return db.excecaoAgenda.findMany({
+        where: {
+            medicoId,
+            dia: { gte: de, lt: fim }
+        }
+    });
+};
+
+// Retorna o slot publicado que começa exatamente em dataHora, ou null
+export const buscarSlotPublicado = async (medicoId, dataHora, db = prisma) => {
+    if (dataHora.getTime() <= Date.now()) return null;
+
+    const dia = new Date(dataHora);
+    dia.setHours(0, 0, 0, 0);
+
+    const [disponibilidades, excecoes] = await Promise.all([
+        db.disponibilidadeMedico.findMany({
+            where: { medicoId, diaSemana: dia.getDay() }
+        }),
+        buscarExcecoes(db, medicoId, dia, dia)
+    ]);
+
+    const minutos = dataHora.getHours() * 60 + dataHora.getMinutes();
+    const slot = slotsDoDia(dia, disponibilidades, excecoes).find((s) => s.inicio === minutos);
+
+    return slot ? { dataHora, duracaoMinutos: slot.duracao } : null;
+};
+
+// Agendamentos ativos do médico que podem ocupar slots do período
+const ocupadosNoPeriodo = (medicoId, de, fim) => ({
+    medicoId,
+    status: { not: 'CANCELADA' },
+    dataHora: { gte: new Date(de.getTime() - 86400000), lt: fim }
+});
+
+// Lista os horários livres do médico entre os dias "de" e "ate" (inclusive)
+export const listarHorariosLivres = async (medicoId, de, ate, db = prisma) => {
+    const fimPeriodo = new Date(ate);
+    fimPeriodo.setDate(fimPeriodo.getDate() + 1);
+
+    const [disponibilidades, excecoes, consultas, exames] = await Promise.all([
+        db.disponibilidadeMedico.findMany({ where: { medicoId } }),
+        buscarExcecoes(db, medicoId, de, ate),
+        db.consulta.findMany({
+            where: ocupadosNoPeriodo(medicoId, de, fimPeriodo),
+            select: { dataHora: true, duracaoMinutos: true }
+        }),
+        db.exame.findMany({
+            where: ocupadosNoPeriodo(medicoId, de, fimPeriodo),
+            select: { dataHora: true, duracaoMinutos: true }
+        })
+    ]);
+
+    const ocupados = [...consultas, ...exames].map((agendamento) => ({
+        inicio: agendamento.dataHora.getTime(),
+        fim: agendamento.dataHora.getTime() + agendamento.duracaoMinutos * 60000
+    }));
+    const agora = Date.now();
+    const horarios = [];
+
+    for (const dia = new Date(de); dia <= ate; dia.setDate(dia.getDate() + 1)) {
+        for (const slot of slotsDoDia(dia, disponibilidades, excecoes)) {
+            const dataHora = new Date(dia);
+            dataHora.setHours(Math.floor(slot.inicio / 60), slot.inicio % 60, 0, 0);
+
+            const inicio = dataHora.getTime();
+            const fim = inicio + slot.duracao * 60000;
+
+            if (inicio <= agora || ocupados.some((o) => sobrepoe(inicio, fim, o.inicio, o.fim))) continue;
+
+            horarios.push({
+                dia: formatarDia(dia),
+                hora: minutosParaHora(slot.inicio),
+                dataHora,
+                duracaoMinutos: slot.duracao
+            });
+        }
+    }
+
+    return horarios;
+};
@@ -0,0 +1,100 @@
+import prisma from '../config/database.js';
+
+// Valores estruturados devolvidos junto com o resultado
+export const incluirValores = {
+    select: {
+        codigo: true,
+        nome: true,
+        valor: true,
+        valorTexto: true,
+        unidade: true,
+        referenciaMin: true,
+        referenciaMax: true,
+        sinalizacao: true
+    },
+    orderBy: { ordem: 'asc' }
+};
+
+/**
+ * Tipo de exame do catálogo com os analitos esperados (null se não catalogado).
+ * Exames antigos, sem tipoExameId, são associados pelo nome.
+ */
+export const buscarTipoExame = (exame) => {
+    return prisma.tipoExame.findFirst({
+        where: exame.tipoExameId
+            ? { id: exame.tipoExameId }
+            : { nome: { equals: exame.nome.trim(), mode: 'insensitive' } },
+        include: {
+            analitos: {
+                orderBy: { ordem: 'asc' }
+            }
+        }
+    });
+};
+
+// Valores numéricos fora da faixa são BAIXO/ALTO; qualitativos dependem da marcação do médico
+export const sinalizar = ({ valor, referenciaMin, referenciaMax, alterado }) => {
+    if (valor !== null && valor !== undefined) {
+        if (referenciaMin !== null && referenciaMin !== undefined && valor < referenciaMin) return 'BAIXO';
+        if (referenciaMax !== null && referenciaMax !== undefined && valor > referenciaMax) return 'ALTO';
+    }
+
+    return alterado ? 'ALTERADO' : 'NORMAL';
+};
+
+const falha = (status, code, message, details) => ({
+    status,
+    error: details ? { code, message, details } : { code, message }
+});
+
+/**
+ * Monta os dados de ValorAnalito a partir dos analitos enviados no laudo.
+ * Exame catalogado: o código deve constar do catálogo, de onde vêm nome, unidade e a
+ * faixa padrão (uma faixa enviada, ex.: específica por idade, prevalece).
+ * Exame sem catálogo: nome é obrigatório em cada analito.
+ * Retorna { valores } ou { status, error }.
+ */
+export const montarValores = (analitos, tipoExame) => {
+    const catalogo = new Map((tipoExame?.analitos ?? []).map((analito) => [analito.codigo, analito]));
+    const valores = [];
+
+    for (const [indice, analito] of analitos.entries()) {
+        const esperado = catalogo.get(analito.codigo);
+
+        if (tipoExame && !esperado) {
+            return falha(400, 'VALIDATION_ERROR', `Analito ${analito.codigo} não pertence ao exame ${tipoExame.nome}`, {
+                codigo: analito.codigo,
+                codigosEsperados: [...catalogo.keys()]
+            });
+        }
+
+        if (!esperado && !analito.nome) {
+            return falha(400, 'VALIDATION_ERROR', `Informe o nome do analito ${analito.codigo} (exame sem catálogo)`, {
+                codigo: analito.codigo
+            });
+        }
+
+        // A unidade do catálogo mantém o histórico comparável
+        if (esperado?.unidade && analito.unidade && analito.unidade !== esperado.unidade) {
+            return falha(400, 'VALIDATION_ERROR', `Unidade do analito ${analito.codigo} deve ser ${esperado.unidade}`, {
+                codigo: analito.codigo,
+                unidadeEsperada: esperado.unidade
+            });
+        }
+
+        const valor = {
+            codigo: analito.codigo,
+            nome: esperado?.nome ?? analito.nome,
+            valor: analito.valor ?? null,
+            valorTexto: analito.valorTexto ?? null,
+            unidade: esperado?.unidade ?? analito.unidade ?? null,
+            referenciaMin: analito.referenciaMin ?? esperado?.referenciaMin ?? null,
+            referenciaMax: analito.referenciaMax ?? esperado?.referenciaMax ?? null,
+            ordem: esperado?.ordem ?? catalogo.size + indice
+        };
+
+        valores.push({ ...valor, sinalizacao: sinalizar({ ...valor, alterado: analito.alterado }) });
+    }
+
+    return { valores };
+};
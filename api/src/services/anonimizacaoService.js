@@ -0,0 +1,129 @@
+import prisma from '../config/database.js';
+import { dadosCancelamento } from './cancelamentoService.js';
+import { removerArquivo } from './armazenamentoService.js';
+
+const falha = (status, code, message) => ({ status, error: { code, message } });
+
+/**
+ * Remove os dados pessoais de um paciente (atendimento a pedido de eliminação, LGPD).
+ * Consultas, exames, resultados e analitos são mantidos para estatística, desvinculados de quem
+ * o paciente é: nome, email, CPF, contatos, endereço e textos livres são apagados, a data de
+ * nascimento fica só com o ano e anexos, links de compartilhamento, dispositivos, sessões e notificações são removidos.
+ * Agendamentos futuros são cancelados. Exige a conta desativada; não pode ser desfeita.
+ * Trilha de auditoria e acessos ao prontuário não são alterados (somente inclusão): os registros
+ * de requisições do próprio paciente mantêm IP e user agent, guardados como registros de conexão
+ * (Marco Civil da Internet, art. 15); os acessos ao prontuário guardam os de quem leu os dados.
+ * Retorna { anonimizadoEm, consultasCanceladas, examesCancelados, arquivosRemovidos } ou { status, error }.
+ */
+export const anonimizarPaciente = async (pacienteId, adminId) => {
+    const paciente = await prisma.usuario.findFirst({
+        where: { id: pacienteId, perfil: 'PACIENTE' },
+        include: { perfilPaciente: true }
+    });
+
+    if (!paciente) {
+        return falha(404, 'RESOURCE_NOT_FOUND', 'Paciente não encontrado');
+    }
+
+    if (paciente.anonimizadoEm) {
+        return falha(409, 'RESOURCE_CONFLICT', 'Paciente já anonimizado');
+    }
+
+    if (paciente.ativo) {
+        return falha(409, 'RESOURCE_CONFLICT', 'Desative a conta do paciente antes de anonimizá-la');
+    }
+
+    const agora = new Date();
+    const doPaciente = { resultado: { pacienteId } };
+    const agendamentosFuturos = { pacienteId, status: 'AGENDADA', dataHora: { gt: agora } };
+    const cancelamento = dadosCancelamento({
+        motivo: 'IMPEDIMENTO_PACIENTE',
+        observacao: 'Conta anonimizada',
+        usuarioId: adminId
+    });
+
+    // Auditada como as demais escritas: a trilha indica os campos apagados, sem copiar os valores
+    const [consultas, exames, arquivos] = await prisma.$transaction(async (tx) => {
+        // Textos livres que podem identificar o paciente
+        const textosLivres = { detalhes: null, observacaoCancelamento: null };
+        await tx.consulta.updateMany({ where: { pacienteId }, data: textosLivres });
+        await tx.exame.updateMany({ where: { pacienteId }, data: textosLivres });
+        await tx.historicoRemarcacao.updateMany({
+            where: { OR: [{ consulta: { pacienteId } }, { exame: { pacienteId } }] },
+            data: { motivo: null }
+        });
+
+        // Trava os resultados antes de listar os anexos: um envio concorrente (que também trava o
+        // resultado) termina antes desta leitura ou só é gravado depois da anonimização
+        await tx.resultadoExame.updateMany({
+            where: { pacienteId },
+            data: { detalhes: null, arquivoUrl: null, motivoRetificacao: null, comentarioRevisao: null }
+        });
+
+        // Anexos (PDFs e imagens trazem nome e documentos) e links de compartilhamento
+        const anexos = await tx.arquivoResultado.findMany({ where: doPaciente, select: { chave: true } });
+        await tx.arquivoResultado.deleteMany({ where: doPaciente });
+        await tx.compartilhamentoResultado.deleteMany({ where: doPaciente });
+
+        await tx.lembrete.deleteMany({ where: { pacienteId } });
+        await tx.notificacao.deleteMany({ where: { usuarioId: pacienteId } });
+        await tx.pushToken.deleteMany({ where: { usuarioId: pacienteId } });
+        await tx.refreshToken.deleteMany({ where: { usuarioId: pacienteId } });
+        await tx.tokenRecuperacaoSenha.deleteMany({ where: { usuarioId: pacienteId } });
+
+        // Mantidos: ano de nascimento, UF, convênio e alergias (faixa etária, região, perfil clínico)
+        if (paciente.perfilPaciente) {
+            const nascimento = paciente.perfilPaciente.dataNascimento;
+
+            await tx.perfilPaciente.update({
+                where: { pacienteId },
+                data: {
+                    cpf: null,
+                    dataNascimento: nascimento ? new Date(nascimento.getFullYear(), 0, 1) : null,
+                    telefone: null,
+                    cep: null,
+                    logradouro: null,
+                    numero: null,
+                    complemento: null,
+                    bairro: null,
+                    cidade: null,
+                    contatoEmergenciaNome: null,
+                    contatoEmergenciaTelefone: null,
+                    contatoEmergenciaParentesco: null,
+                    convenioCarteirinha: null,
+                    convenioValidade: null
+                }
+            });
+        }
+
+        await tx.usuario.update({
+            where: { id: pacienteId },
+            data: {
+                nome: 'Paciente anonimizado',
+                email: `anonimizado-${pacienteId}@anonimizado.invalid`,
+                senhaHash: null,
+                ativo: false,
+                motivoDesativacao: null,
+                anonimizadoEm: agora
+            }
+        });
+
+        return [
+            await tx.consulta.updateMany({ where: agendamentosFuturos, data: cancelamento }),
+            await tx.exame.updateMany({ where: agendamentosFuturos, data: cancelamento }),
+            anexos
+        ];
+    });
+
+    // Conteúdo dos anexos removido após o commit; uma falha deixa apenas o arquivo órfão
+    await Promise.all(arquivos.map(({ chave }) => removerArquivo(chave).catch((error) => {
+        console.error('Erro ao remover anexo anonimizado:', error);
+    })));
+
+    return {
+        anonimizadoEm: agora,
+        consultasCanceladas: consultas.count,
+        examesCancelados: exames.count,
+        arquivosRemovidos: arquivos.length
+    };
+};
@@ -0,0 +1,45 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+
+const STORAGE_DIR = process.env.STORAGE_DIR || 'uploads';
+
+/**
+ * Armazenamento em disco local. As chaves são geradas pelo servidor
+ * (nunca a partir do nome enviado pelo cliente), então não há path traversal.
+ * Um adaptador de armazenamento expõe: salvar(chave, buffer), abrir(chave) e remover(chave).
+ */
+export const criarArmazenamentoLocal = ({ diretorio = STORAGE_DIR } = {}) => {
+    const caminho = (chave) => path.join(diretorio, chave);
+
+    return {
+        salvar: async (chave, conteudo) => {
+            await fsPromises.mkdir(path.dirname(caminho(chave)), { recursive: true });
+            await fsPromises.writeFile(caminho(chave), conteudo, { flag: 'wx' });
+        },
+        abrir: async (chave) => {
+            await fsPromises.access(caminho(chave));
+            return fs.createReadStream(caminho(chave));
+        },
+        remover: (chave) => fsPromises.rm(caminho(chave), { force: true })
+    };
+};
+
+let armazenamento = criarArmazenamentoLocal();
+
+// Permite substituir o armazenamento (ex.: bucket S3, diretório temporário em testes)
+export const definirArmazenamento = (novoArmazenamento) => {
+    armazenamento = novoArmazenamento;
+};
+
+// Gera uma chave única agrupada por prefixo (ex.: "resultados/<id>/<uuid>.pdf")
+export const gerarChave = (prefixo, extensao) => {
+    return `${prefixo}/${crypto.randomUUID()}${extensao}`;
+};
+
+export const salvarArquivo = (chave, conteudo) => armazenamento.salvar(chave, conteudo);
+
+export const abrirArquivo = (chave) => armazenamento.abrir(chave);
+
+export const removerArquivo = (chave) => armazenamento.remover(chave);
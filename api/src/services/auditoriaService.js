@@ -0,0 +1,273 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Contexto da requisição de escrita em andamento: { req, pendencias }
+const armazenamento = new AsyncLocalStorage();
+
+// Client da transação interativa em andamento, para ler o estado anterior na mesma conexão
+const transacaoAtual = new AsyncLocalStorage();
+
+let clienteBase = null;
+
+// Cadastros e dados clínicos/administrativos; tokens, sessões, lembretes e notificações ficam de fora
+export const MODELOS_AUDITADOS = [
+    'Usuario',
+    'PerfilPaciente',
+    'PerfilMedico',
+    'Especialidade',
+    'Consulta',
+    'Exame',
+    'ResultadoExame',
+    'ValorAnalito',
+    'ArquivoResultado',
+    'CompartilhamentoResultado',
+    'TipoExame',
+    'AnalitoTipoExame',
+    'DisponibilidadeMedico',
+    'ExcecaoAgenda'
+];
+
+const OPERACOES_ESCRITA = ['create', 'createMany', 'update', 'updateMany', 'upsert', 'delete', 'deleteMany'];
+
+// Logs somente inclusão: a API não altera nem remove seus registros
+const MODELOS_SOMENTE_INCLUSAO = ['RegistroAuditoria', 'AcessoProntuario'];
+
+const OPERACOES_BLOQUEADAS = ['update', 'updateMany', 'upsert', 'delete', 'deleteMany'];
+
+const ESCRITAS_ANINHADAS = [
+    'create', 'createMany', 'connect', 'connectOrCreate', 'disconnect',
+    'update', 'updateMany', 'upsert', 'delete', 'deleteMany'
+];
+
+const CAMPOS_OCULTOS = ['senhaHash', 'pinHash', 'tokenHash'];
+
+// Cadastros com dados pessoais: só estes campos têm o valor gravado; nos demais a trilha indica apenas a alteração
+const CAMPOS_COM_VALOR = {
+    Usuario: ['id', 'perfil', 'ativo', 'desativacaoSolicitadaEm', 'anonimizadoEm', 'criadoEm'],
+    PerfilPaciente: ['id', 'pacienteId', 'criadoEm']
+};
+
+// Textos livres e links (laudos, observações, motivos, nomes de arquivo) podem identificar o paciente
+const CAMPOS_TEXTO_LIVRE = [
+    'detalhes', 'observacaoCancelamento', 'comentarioRevisao', 'motivoRetificacao', 'nomeOriginal', 'destinatario',
+    'arquivoUrl'
+];
+
+// Alterados a cada escrita; não entram no diff de atualizações
+const CAMPOS_IGNORADOS = ['atualizadoEm'];
+
+const tabela = (modelo, cliente = clienteBase) => cliente[modelo.charAt(0).toLowerCase() + modelo.slice(1)];
+
+// Relações com escrita aninhada (ex.: valores: { create }) entram apenas pelo nome
+const relacoesAlteradas = (data) => Object.entries(data ?? {})
+    .filter(([, valor]) => valor && typeof valor === 'object' && !Array.isArray(valor) && !(valor instanceof Date))
+    .filter(([, valor]) => Object.keys(valor).some((chave) => ESCRITAS_ANINHADAS.includes(chave)
+        || (chave === 'set' && Array.isArray(valor.set) && valor.set.some((item) => typeof item === 'object'))))
+    .map(([campo]) => campo);
+
+const registrarPendencia = (contexto, pendencia) => {
+    contexto.pendencias.push({ antes: null, depois: null, relacoes: [], ...pendencia });
+};
+
+const auditarOperacao = async (contexto, modelo, operacao, args, query) => {
+    if (operacao === 'createMany') {
+        // createMany não retorna os ids: cada item é registrado com o que foi enviado
+        [].concat(args.data).forEach((item) => registrarPendencia(contexto, { modelo, id: null, depois: item }));
+        return query(args);
+    }
+
+    // Dentro de uma transação interativa, a leitura usa a mesma conexão (e vê as escritas anteriores dela)
+    const leitura = tabela(modelo, transacaoAtual.getStore() ?? clienteBase);
+
+    if (operacao === 'updateMany' || operacao === 'deleteMany') {
+        const registros = await leitura.findMany({ where: args.where });
+        registros.forEach((registro) => registrarPendencia(contexto, { modelo, id: registro.id, antes: registro }));
+        return query(args);
+    }
+
+    const antes = operacao === 'create' ? null : await leitura.findUnique({ where: args.where });
+
+    // O id é necessário para reler o registro ao final da requisição
+    const semId = args.select && !args.select.id;
+    const resultado = await query(semId ? { ...args, select: { ...args.select, id: true } } : args);
+
+    registrarPendencia(contexto, {
+        modelo,
+        id: resultado.id,
+        antes,
+        relacoes: operacao === 'upsert'
+            ? relacoesAlteradas({ ...args.create, ...args.update })
+            : relacoesAlteradas(args.data)
+    });
+
+    if (!semId) return resultado;
+
+    const { id, ...campos } = resultado;
+    return campos;
+};
+
+/**
+ * Extensão do Prisma Client que anota as escritas feitas dentro de uma requisição auditada
+ * (ver middlewares/auditoria.js) e impede alterar ou remover registros dos logs (trilha e acessos).
+ * O estado anterior é lido pelo client da transação interativa em andamento, se houver.
+ */
+export const extensaoAuditoria = (base) => (client) => {
+    clienteBase = base;
+
+    const auditado = client.$extends({
+        name: 'auditoria',
+        query: {
+            $allModels: {
+                async $allOperations({ model, operation, args, query }) {
+                    if (MODELOS_SOMENTE_INCLUSAO.includes(model) && OPERACOES_BLOQUEADAS.includes(operation)) {
+                        throw new Error(`Registros de ${model} não podem ser alterados ou removidos`);
+                    }
+
+                    const contexto = armazenamento.getStore();
+
+                    if (!contexto || !MODELOS_AUDITADOS.includes(model) || !OPERACOES_ESCRITA.includes(operation)) {
+                        return query(args);
+                    }
+
+                    return auditarOperacao(contexto, model, operation, args, query);
+                }
+            }
+        }
+    });
+
+    // Publica o client de cada transação interativa para auditarOperacao
+    return auditado.$extends({
+        name: 'auditoriaTransacoes',
+        client: {
+            $transaction(operacoes, opcoes) {
+                if (typeof operacoes !== 'function') return auditado.$transaction(operacoes, opcoes);
+
+                return auditado.$transaction((tx) => transacaoAtual.run(tx, () => operacoes(tx)), opcoes);
+            }
+        }
+    });
+};
+
+// Executa fn com as escritas anotadas em contexto.pendencias
+export const executarComAuditoria = (contexto, fn) => armazenamento.run(contexto, fn);
+
+const origemAuditoria = (req) => ({
+    atorId: req.userId || null,
+    atorPerfil: req.userPerfil || null,
+    metodo: req.method,
+    rota: req.originalUrl.split('?')[0],
+    ip: req.ip || null,
+    userAgent: req.get('user-agent') || null
+});
+
+// Datas viram ISO e valores ficam comparáveis por JSON
+const normalizar = (registro) => registro && JSON.parse(JSON.stringify(registro));
+
+const ocultar = (modelo, campo, valor) => {
+    if (valor === null) return null;
+    if (CAMPOS_OCULTOS.includes(campo)) return '[oculto]';
+
+    const comValor = CAMPOS_COM_VALOR[modelo];
+    if (CAMPOS_TEXTO_LIVRE.includes(campo) || (comValor && !comValor.includes(campo))) return '[alterado]';
+
+    return valor;
+};
+
+const calcularAlteracoes = (modelo, antes, depois) => {
+    const alteracoes = {};
+    const campos = new Set([...Object.keys(antes ?? {}), ...Object.keys(depois ?? {})]);
+
+    for (const campo of campos) {
+        if (antes && depois && CAMPOS_IGNORADOS.includes(campo)) continue;
+
+        const valorAntes = antes?.[campo] ?? null;
+        const valorDepois = depois?.[campo] ?? null;
+
+        if (JSON.stringify(valorAntes) === JSON.stringify(valorDepois)) continue;
+
+        alteracoes[campo] = {
+            antes: ocultar(modelo, campo, valorAntes),
+            depois: ocultar(modelo, campo, valorDepois)
+        };
+    }
+
+    return alteracoes;
+};
+
+/**
+ * Grava a trilha da requisição (chamado quando a resposta termina).
+ * Cada registro alterado gera uma linha com o estado anterior à primeira escrita e o estado final,
+ * relido do banco: escritas revertidas por transação não geram diff. Inclusões em lote e
+ * alterações apenas em relações aninhadas, que não podem ser conferidas assim, só são gravadas
+ * se a resposta foi de sucesso.
+ */
+export const gravarAuditoria = async ({ req, pendencias }, sucesso) => {
+    if (pendencias.length === 0) return;
+
+    const agrupadas = new Map();
+    const lotes = [];
+
+    for (const pendencia of pendencias) {
+        if (!pendencia.id) {
+            lotes.push(pendencia);
+            continue;
+        }
+
+        const chave = `${pendencia.modelo}:${pendencia.id}`;
+        const anterior = agrupadas.get(chave);
+
+        if (anterior) {
+            anterior.relacoes.push(...pendencia.relacoes);
+        } else {
+            agrupadas.set(chave, { ...pendencia, relacoes: [...pendencia.relacoes] });
+        }
+    }
+
+    const idsPorModelo = {};
+    for (const { modelo, id } of agrupadas.values()) {
+        (idsPorModelo[modelo] ??= []).push(id);
+    }
+
+    const finais = new Map();
+    await Promise.all(Object.entries(idsPorModelo).map(async ([modelo, ids]) => {
+        const registros = await tabela(modelo).findMany({ where: { id: { in: ids } } });
+        registros.forEach((registro) => finais.set(`${modelo}:${registro.id}`, registro));
+    }));
+
+    const origem = origemAuditoria(req);
+
+    const registros = [];
+
+    for (const [chave, { modelo, id, antes, relacoes }] of agrupadas) {
+        const depois = finais.get(chave) ?? null;
+        if (!antes && !depois) continue;
+
+        const alteracoes = calcularAlteracoes(modelo, normalizar(antes), normalizar(depois));
+        const relacoesUnicas = sucesso ? [...new Set(relacoes)] : [];
+
+        if (Object.keys(alteracoes).length === 0 && relacoesUnicas.length === 0) continue;
+
+        registros.push({
+            ...origem,
+            acao: !antes ? 'CRIACAO' : !depois ? 'REMOCAO' : 'ATUALIZACAO',
+            entidade: modelo,
+            entidadeId: id,
+            alteracoes,
+            relacoes: relacoesUnicas
+        });
+    }
+
+    if (sucesso) {
+        lotes.forEach(({ modelo, depois }) => registros.push({
+            ...origem,
+            acao: 'CRIACAO',
+            entidade: modelo,
+            entidadeId: null,
+            alteracoes: calcularAlteracoes(modelo, null, normalizar(depois)),
+            relacoes: []
+        }));
+    }
+
+    if (registros.length > 0) {
+        await clienteBase.registroAuditoria.createMany({ data: registros });
+    }
+};
@@ -0,0 +1,56 @@
+import prisma from '../config/database.js';
+
+export const MOTIVOS_CANCELAMENTO = [
+    'IMPEDIMENTO_PACIENTE',
+    'IMPEDIMENTO_MEDICO',
+    'ERRO_AGENDAMENTO',
+    'SEM_NECESSIDADE',
+    'OUTRO'
+];
+
+// Campos gravados em consultas/exames ao cancelar
+export const dadosCancelamento = ({ motivo, observacao, usuarioId }) => ({
+    status: 'CANCELADA',
+    motivoCancelamento: motivo,
+    observacaoCancelamento: observacao?.trim() || null,
+    canceladoPorId: usuarioId,
+    canceladoEm: new Date()
+});
+
+/**
+ * Consolida cancelamentos de consultas e exames por motivo no período
+ * (pela data do agendamento) e calcula a taxa sobre o total agendado.
+ */
+export const gerarRelatorioCancelamentos = async ({ de, ate }) => {
+    const periodo = { dataHora: { gte: de, lt: ate } };
+    const cancelados = { ...periodo, status: 'CANCELADA' };
+
+    const [consultasPorMotivo, examesPorMotivo, totalConsultas, totalExames] = await Promise.all([
+        prisma.consulta.groupBy({ by: ['motivoCancelamento'], where: cancelados, _count: { _all: true } }),
+        prisma.exame.groupBy({ by: ['motivoCancelamento'], where: cancelados, _count: { _all: true } }),
+        prisma.consulta.count({ where: periodo }),
+        prisma.exame.count({ where: periodo })
+    ]);
+
+    const contagem = (grupos, motivo) => {
+        return grupos.find((grupo) => grupo.motivoCancelamento === motivo)?._count._all ?? 0;
+    };
+
+    // Cancelamentos anteriores à obrigatoriedade do motivo aparecem como SEM_MOTIVO
+    const porMotivo = [...MOTIVOS_CANCELAMENTO, null].map((motivo) => {
+        const consultas = contagem(consultasPorMotivo, motivo);
+        const exames = contagem(examesPorMotivo, motivo);
+        return { motivo: motivo ?? 'SEM_MOTIVO', consultas, exames, total: consultas + exames };
+    }).filter((item) => item.motivo !== 'SEM_MOTIVO' || item.total > 0);
+
+    const totalCancelados = porMotivo.reduce((soma, item) => soma + item.total, 0);
+    const totalAgendamentos = totalConsultas + totalExames;
+
+    return {
+        periodo: { de, ate },
+        totalAgendamentos,
+        totalCancelados,
+        taxaCancelamento: totalAgendamentos ? totalCancelados / totalAgendamentos : 0,
+        porMotivo
+    };
+};
@@ -0,0 +1,123 @@
+import bcrypt from 'bcryptjs';
+import prisma from '../config/database.js';
+import { gerarTokenSeguro, hashToken } from '../utils/tokens.js';
+
+export const VALIDADE_MAXIMA_HORAS = 720; // 30 dias
+const VALIDADE_PADRAO_HORAS = Number(process.env.COMPARTILHAMENTO_VALIDADE_HORAS || 72);
+const MAX_TENTATIVAS_PIN = 5;
+
+const urlCompartilhamento = (token) => {
+    const base = process.env.COMPARTILHAMENTO_URL || `http://localhost:${process.env.PORT || 3333}/compartilhado`;
+    return `${base}/${token}`;
+};
+
+// Dados de um compartilhamento exibidos ao dono (sem hashes)
+export const formatarCompartilhamento = ({ tokenHash, pinHash, ...compartilhamento }, agora = new Date()) => ({
+    ...compartilhamento,
+    protegidoPorPin: Boolean(pinHash),
+    ativo: !compartilhamento.revogadoEm && compartilhamento.expiraEm > agora
+});
+
+/**
+ * Cria um link de compartilhamento para o resultado. O token só é devolvido
+ * nesta resposta; o banco guarda apenas o hash (e o hash do PIN, se houver).
+ */
+export const criarCompartilhamento = async ({ resultadoId, usuarioId, validadeHoras = VALIDADE_PADRAO_HORAS, pin, destinatario }) => {
+    const token = gerarTokenSeguro();
+
+    const compartilhamento = await prisma.compartilhamentoResultado.create({
+        data: {
+            resultadoId,
+            criadoPorId: usuarioId,
+            tokenHash: hashToken(token),
+            pinHash: pin ? await bcrypt.hash(pin, 10) : null,
+            destinatario,
+            expiraEm: new Date(Date.now() + Math.min(validadeHoras, VALIDADE_MAXIMA_HORAS) * 3600000)
+        }
+    });
+
+    return {
+        compartilhamento: formatarCompartilhamento(compartilhamento),
+        link: urlCompartilhamento(token)
+    };
+};
+
+const falha = (status, code, message, details) => ({
+    status,
+    error: details ? { code, message, details } : { code, message }
+});
+
+/**
+ * Autoriza um acesso público pelo token do link (e PIN, se exigido) e o registra.
+ * Cada PIN informado consome uma tentativa (zerada quando o PIN está correto); ao atingir o limite
+ * de PINs errados o link é revogado.
+ * acesso: { pin, ip, userAgent, arquivoId }. Retorna { compartilhamento } ou { status, error }.
+ */
+export const autorizarAcesso = async (token, { pin, ip, userAgent, arquivoId = null }) => {
+    const compartilhamento = await prisma.compartilhamentoResultado.findUnique({
+        where: { tokenHash: hashToken(token) }
+    });
+
+    if (!compartilhamento) {
+        return falha(404, 'RESOURCE_NOT_FOUND', 'Link de compartilhamento inválido');
+    }
+
+    if (compartilhamento.revogadoEm || compartilhamento.expiraEm <= new Date()) {
+        return falha(410, 'SHARE_LINK_EXPIRED', 'Este link expirou ou foi revogado');
+    }
+
+    const registro = { ip, userAgent, arquivoId };
+
+    if (compartilhamento.pinHash) {
+        if (!pin) {
+            return falha(401, 'SHARE_PIN_REQUIRED', 'Informe o PIN para acessar este resultado');
+        }
+
+        // A tentativa é reservada antes da comparação: palpites em paralelo não passam do limite
+        const { count } = await prisma.compartilhamentoResultado.updateMany({
+            where: {
+                id: compartilhamento.id,
+                revogadoEm: null,
+                expiraEm: { gt: new Date() },
+                tentativasPin: { lt: MAX_TENTATIVAS_PIN }
+            },
+            data: { tentativasPin: { increment: 1 } }
+        });
+
+        if (count === 0) {
+            return falha(410, 'SHARE_LINK_EXPIRED', 'Este link expirou ou foi revogado');
+        }
+
+        if (!(await bcrypt.compare(pin, compartilhamento.pinHash))) {
+            const { tentativasPin } = await prisma.compartilhamentoResultado.update({
+                where: { id: compartilhamento.id },
+                data: { acessos: { create: { ...registro, sucesso: false } } },
+                select: { tentativasPin: true }
+            });
+
+            if (tentativasPin >= MAX_TENTATIVAS_PIN) {
+                await prisma.compartilhamentoResultado.updateMany({
+                    where: { id: compartilhamento.id, revogadoEm: null },
+                    data: { revogadoEm: new Date() }
+                });
+                return falha(410, 'SHARE_LINK_EXPIRED', 'Link bloqueado após tentativas de PIN inválidas');
+            }
+
+            return falha(401, 'SHARE_PIN_INVALID', 'PIN inválido', {
+                tentativasRestantes: MAX_TENTATIVAS_PIN - tentativasPin
+            });
+        }
+
+        // PIN correto: as tentativas voltam a zero
+        await prisma.compartilhamentoResultado.update({
+            where: { id: compartilhamento.id },
+            data: { tentativasPin: 0 }
+        });
+    }
+
+    await prisma.acessoCompartilhamento.create({
+        data: { ...registro, compartilhamentoId: compartilhamento.id }
+    });
+
+    return { compartilhamento };
+};
@@ -0,0 +1,90 @@
+import prisma from '../config/database.js';
+
+// Maior duração esperada de um agendamento (limita a janela de busca)
+const DURACAO_MAXIMA_MINUTOS = 24 * 60;
+const TENTATIVAS_TRANSACAO = 3;
+
+const campos = {
+    id: true,
+    dataHora: true,
+    duracaoMinutos: true,
+    medicoId: true,
+    pacienteId: true
+};
+
+const fimDoAgendamento = (agendamento) => {
+    return new Date(agendamento.dataHora.getTime() + agendamento.duracaoMinutos * 60000);
+};
+
+/**
+ * Procura, em consultas e exames, um agendamento ativo do médico ou do paciente
+ * que se sobreponha ao intervalo [dataHora, dataHora + duracaoMinutos).
+ * "ignorar" ({ tipo, id }) exclui o próprio agendamento em remarcações.
+ */
+export const buscarConflito = async ({ medicoId, pacienteId, dataHora, duracaoMinutos, ignorar }, db = prisma) => {
+    const inicio = dataHora;
+    const fim = new Date(inicio.getTime() + duracaoMinutos * 60000);
+
+    const filtro = (tipo) => ({
+        status: { not: 'CANCELADA' },
+        dataHora: {
+            gt: new Date(inicio.getTime() - DURACAO_MAXIMA_MINUTOS * 60000),
+            lt: fim
+        },
+        OR: [{ medicoId }, { pacienteId }],
+        ...(ignorar?.tipo === tipo ? { id: { not: ignorar.id } } : {})
+    });
+
+    const [consultas, exames] = await Promise.all([
+        db.consulta.findMany({ where: filtro('CONSULTA'), select: campos }),
+        db.exame.findMany({ where: filtro('EXAME'), select: campos })
+    ]);
+
+    const agendamentos = [
+        ...consultas.map((consulta) => ({ tipo: 'CONSULTA', ...consulta })),
+        ...exames.map((exame) => ({ tipo: 'EXAME', ...exame }))
+    ].sort((a, b) => a.dataHora - b.dataHora);
+
+    const conflito = agendamentos.find((agendamento) => {
+        return agendamento.dataHora < fim && fimDoAgendamento(agendamento) > inicio;
+    });
+    if (!conflito) return null;
+
+    return {
+        tipo: conflito.tipo,
+        id: conflito.id,
+        dataHora: conflito.dataHora,
+        duracaoMinutos: conflito.duracaoMinutos,
+        envolvido: conflito.medicoId === medicoId ? 'MEDICO' : 'PACIENTE'
+    };
+};
+
+// Corpo de erro padrão para um conflito encontrado por buscarConflito
+export const erroConflito = (conflito) => ({
+    code: 'SLOT_UNAVAILABLE',
+    message: conflito.envolvido === 'MEDICO'
+        ? 'O médico já possui um agendamento neste horário'
+        : 'O paciente já possui um agendamento neste horário',
+    details: { conflito }
+});
+
+/**
+ * Verifica conflitos e grava o agendamento na mesma transação serializável,
+ * evitando que duas requisições simultâneas reservem o mesmo horário.
+ * Retorna { conflito } ou { registro } com o resultado de gravar(tx).
+ */
+export const reservarHorario = async (dados, gravar) => {
+    for (let tentativa = 1; ; tentativa++) {
+        try {
+            return await prisma.$transaction(async (tx) => {
+                const conflito = await buscarConflito(dados, tx);
+                if (conflito) return { conflito };
+
+                return { registro: await gravar(tx) };
+            }, { isolationLevel: 'Serializable' });
+        } catch (error) {
+            // P2034: falha de serialização (outra transação concorrente); tenta novamente
+            if (error.code !== 'P2034' || tentativa >= TENTATIVAS_TRANSACAO) throw error;
+        }
+    }
+};
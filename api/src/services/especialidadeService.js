@@ -0,0 +1,20 @@
+import prisma from '../config/database.js';
+
+export const incluirEspecialidades = {
+    select: {
+        id: true,
+        nome: true
+    },
+    orderBy: { nome: 'asc' }
+};
+
+// Retorna os ids que não são de especialidades ativas (lista vazia se todos são válidos)
+export const especialidadesInvalidas = async (especialidadeIds) => {
+    const especialidades = await prisma.especialidade.findMany({
+        where: { id: { in: especialidadeIds }, ativo: true },
+        select: { id: true }
+    });
+
+    const validas = new Set(especialidades.map((especialidade) => especialidade.id));
+    return especialidadeIds.filter((especialidadeId) => !validas.has(especialidadeId));
+};
@@ -0,0 +1,206 @@
+import archiver from 'archiver';
+import prisma from '../config/database.js';
+import { incluirPerfilPaciente } from './perfilPacienteService.js';
+import { incluirValores } from './analitoService.js';
+import { filtroLiberado } from './resultadoService.js';
+import { abrirArquivo } from './armazenamentoService.js';
+
+const medico = { select: { id: true, nome: true } };
+
+const remarcacoes = {
+    select: {
+        dataHoraAnterior: true,
+        dataHoraNova: true,
+        medicoAnteriorId: true,
+        medicoNovoId: true,
+        motivo: true,
+        criadoEm: true
+    },
+    orderBy: { criadoEm: 'asc' }
+};
+
+// Nome do anexo dentro do zip, sem separadores de diretório vindos do upload
+const caminhoAnexo = (resultadoId, arquivo) => {
+    const nome = arquivo.nomeOriginal.replace(/[/\\]/g, '_');
+    return `resultados/${resultadoId}/${arquivo.id}-${nome}`;
+};
+
+/**
+ * Reúne os dados do paciente para a portabilidade (LGPD): conta e cadastro, consultas, exames,
+ * resultados liberados (com analitos e anexos) e dispositivos de push.
+ * Retorna { dados, anexos } ou null se o usuário não existir; anexos: [{ caminho, chave, registro }].
+ */
+export const montarExportacao = async (pacienteId) => {
+    const [usuario, consultas, exames, resultados, pushTokens] = await Promise.all([
+        prisma.usuario.findUnique({
+            where: { id: pacienteId },
+            select: {
+                id: true,
+                nome: true,
+                email: true,
+                perfil: true,
+                ativo: true,
+                criadoEm: true,
+                atualizadoEm: true,
+                perfilPaciente: incluirPerfilPaciente
+            }
+        }),
+        prisma.consulta.findMany({
+            where: { pacienteId },
+            include: { medico, remarcacoes },
+            orderBy: { dataHora: 'asc' }
+        }),
+        prisma.exame.findMany({
+            where: { pacienteId },
+            include: {
+                medico,
+                tipoExame: { select: { codigo: true, nome: true } },
+                remarcacoes
+            },
+            orderBy: { dataHora: 'asc' }
+        }),
+        // Rascunhos e liberações agendadas ainda não pertencem ao prontuário visível ao paciente
+        prisma.resultadoExame.findMany({
+            where: { pacienteId, ...filtroLiberado() },
+            select: {
+                id: true,
+                exameId: true,
+                status: true,
+                versao: true,
+                retificaId: true,
+                motivoRetificacao: true,
+                detalhes: true,
+                arquivoUrl: true,
+                publicadoEm: true,
+                criadoEm: true,
+                medico,
+                revisor: medico,
+                valores: incluirValores,
+                arquivos: {
+                    select: {
+                        id: true,
+                        nomeOriginal: true,
+                        mimeType: true,
+                        tamanho: true,
+                        hashSha256: true,
+                        chave: true,
+                        criadoEm: true
+                    },
+                    orderBy: { criadoEm: 'asc' }
+                }
+            },
+            orderBy: { criadoEm: 'asc' }
+        }),
+        prisma.pushToken.findMany({
+            where: { usuarioId: pacienteId },
+            select: {
+                id: true,
+                token: true,
+                plataforma: true,
+                ativo: true,
+                criadoEm: true,
+                atualizadoEm: true
+            }
+        })
+    ]);
+
+    if (!usuario) return null;
+
+    // A chave de armazenamento não é exposta: cada anexo aponta para o seu caminho no zip
+    const anexos = [];
+    const resultadosExportados = resultados.map((resultado) => ({
+        ...resultado,
+        arquivos: resultado.arquivos.map(({ chave, ...arquivo }) => {
+            const registro = { ...arquivo, caminho: caminhoAnexo(resultado.id, arquivo) };
+            anexos.push({ caminho: registro.caminho, chave, registro });
+            return registro;
+        })
+    }));
+
+    return {
+        dados: {
+            geradoEm: new Date(),
+            usuario,
+            consultas,
+            exames,
+            resultados: resultadosExportados,
+            pushTokens
+        },
+        anexos
+    };
+};
+
+// Resolve quando o archiver termina de gravar a entrada atual; falha em erro de leitura do
+// anexo (o archiver não escuta erros do stream de origem), erro do zip ou se a conexão cair
+const aguardarEntrada = (zip, res, conteudo) => new Promise((resolve, reject) => {
+    const limpar = () => {
+        zip.off('entry', aoGravar);
+        zip.off('error', aoFalhar);
+        conteudo.off('error', aoFalhar);
+        res.off('close', aoFechar);
+    };
+    const aoGravar = () => {
+        limpar();
+        resolve();
+    };
+    const aoFalhar = (error) => {
+        limpar();
+        reject(error);
+    };
+    const aoFechar = () => aoFalhar(new Error('Conexão encerrada durante a exportação'));
+
+    zip.on('entry', aoGravar);
+    zip.on('error', aoFalhar);
+    conteudo.on('error', aoFalhar);
+    res.on('close', aoFechar);
+});
+
+/**
+ * Transmite a exportação como zip: os anexos dos resultados + dados.json.
+ * Cada anexo só é aberto depois que o anterior foi gravado, para não manter todos abertos.
+ * Anexos ausentes no armazenamento ficam com caminho nulo no JSON, por isso ele vai por último.
+ */
+export const transmitirExportacao = async (res, { dados, anexos }, nomeArquivo) => {
+    const zip = archiver('zip', { zlib: { level: 9 } });
+
+    res.attachment(nomeArquivo);
+    res.set({
+        'Content-Type': 'application/zip',
+        'Cache-Control': 'private, no-store'
+    });
+
+    // A resposta já começou: em caso de falha só resta encerrar a conexão
+    zip.on('error', (error) => res.destroy(error));
+    zip.pipe(res);
+
+    for (const anexo of anexos) {
+        let conteudo;
+
+        try {
+            conteudo = await abrirArquivo(anexo.chave);
+        } catch {
+            anexo.registro.caminho = null;
+            continue;
+        }
+
+        const gravado = aguardarEntrada(zip, res, conteudo);
+        zip.append(conteudo, { name: anexo.caminho });
+
+        try {
+            await gravado;
+        } catch (error) {
+            console.error('Erro ao gerar exportação:', error);
+            conteudo.destroy();
+            zip.abort();
+            res.destroy(error);
+            return;
+        }
+    }
+
+    zip.append(JSON.stringify(dados, null, 2), { name: 'dados.json' });
+
+    zip.finalize().catch((error) => {
+        console.error('Erro ao gerar exportação:', error);
+        res.destroy(error);
+    });
+};
@@ -0,0 +1,83 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Clínica <nao-responda@clinica.local>';
+const MAIL_DIR = process.env.MAIL_DIR || 'tmp/emails';
+
+// Codifica cabeçalhos com acentos (RFC 2047)
+const codificarCabecalho = (valor) => {
+    return /^[\x20-\x7e]*$/.test(valor)
+        ? valor
+        : `=?UTF-8?B?${Buffer.from(valor).toString('base64')}?=`;
+};
+
+/**
+ * Transporte de desenvolvimento/testes: grava cada e-mail como um arquivo .eml
+ * em MAIL_DIR, que pode ser aberto em qualquer cliente de e-mail.
+ */
+export const criarTransporteArquivo = ({ diretorio = MAIL_DIR } = {}) => {
+    return async ({ de, para, assunto, texto }) => {
+        await fs.mkdir(diretorio, { recursive: true });
+
+        const nomeArquivo = `${Date.now()}-${para.replace(/[^a-z0-9@._-]/gi, '_')}.eml`;
+        const conteudo = [
+            `From: ${de}`,
+            `To: ${para}`,
+            `Subject: ${codificarCabecalho(assunto)}`,
+            `Date: ${new Date().toUTCString()}`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=utf-8',
+            '',
+            texto
+        ].join('\r\n');
+
+        await fs.writeFile(path.join(diretorio, nomeArquivo), conteudo, 'utf-8');
+    };
+};
+
+// Transporte SMTP (servidor real ou stub local, ex.: MailHog/smtp4dev)
+export const criarTransporteSmtp = () => {
+    let transporter;
+
+    return async ({ de, para, assunto, texto, html }) => {
+        if (!transporter) {
+            const { default: nodemailer } = await import('nodemailer');
+            transporter = nodemailer.createTransport({
+                host: process.env.SMTP_HOST || 'localhost',
+                port: Number(process.env.SMTP_PORT || 1025),
+                secure: process.env.SMTP_SECURE === 'true',
+                auth: process.env.SMTP_USER
+                    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                    : undefined
+            });
+        }
+
+        await transporter.sendMail({ from: de, to: para, subject: assunto, text: texto, html });
+    };
+};
+
+// Sem MAIL_TRANSPORT, produção usa SMTP; o transporte de arquivo nunca entregaria os e-mails
+const transportePadrao = () => {
+    const tipo = process.env.MAIL_TRANSPORT
+        || (process.env.NODE_ENV === 'production' ? 'smtp' : 'arquivo');
+
+    switch (tipo) {
+        case 'smtp':
+            return criarTransporteSmtp();
+        case 'console':
+            return async ({ para, assunto, texto }) => console.log(`✉️  E-mail para ${para}: ${assunto}\n${texto}`);
+        default:
+            return criarTransporteArquivo();
+    }
+};
+
+let transporte = transportePadrao();
+
+// Permite substituir o transporte (ex.: captura de e-mails em testes)
+export const definirTransporteEmail = (novoTransporte) => {
+    transporte = novoTransporte;
+};
+
+export const enviarEmail = ({ para, assunto, texto, html }) => {
+    return transporte({ de: MAIL_FROM, para, assunto, texto, html });
+};
@@ -0,0 +1,129 @@
+import prisma from '../config/database.js';
+import { enviarPush } from './pushService.js';
+
+// Nome e flexão de gênero usados nas mensagens
+const TIPOS = {
+    CONSULTA: { nome: 'Consulta', a: 'a' },
+    EXAME: { nome: 'Exame', a: 'o' }
+};
+
+const ROTULOS_STATUS = {
+    AGENDADA: 'Agendada',
+    REALIZADA: 'Realizada',
+    CANCELADA: 'Cancelada',
+    NAO_COMPARECEU: 'Não compareceu'
+};
+
+const formatarDataHora = (agendamento) => {
+    return `${agendamento.dataHora.toLocaleDateString('pt-BR')} às ${agendamento.hora}`;
+};
+
+const descrever = (tipo, agendamento) => {
+    const descricao = agendamento.nome ? `${tipo.nome} ${agendamento.nome}` : tipo.nome;
+    return agendamento.medico?.nome ? `${descricao} com ${agendamento.medico.nome}` : descricao;
+};
+
+const MENSAGENS_AGENDAMENTO = {
+    CRIADO: (tipo, agendamento) => ({
+        titulo: `${tipo.nome} agendad${tipo.a}`,
+        corpo: `${descrever(tipo, agendamento)} marcad${tipo.a} para ${formatarDataHora(agendamento)}.`
+    }),
+    REMARCADO: (tipo, agendamento) => ({
+        titulo: `${tipo.nome} remarcad${tipo.a}`,
+        corpo: `${descrever(tipo, agendamento)} foi movid${tipo.a} para ${formatarDataHora(agendamento)}.`
+    }),
+    CANCELADO: (tipo, agendamento) => ({
+        titulo: `${tipo.nome} cancelad${tipo.a}`,
+        corpo: `${descrever(tipo, agendamento)} de ${formatarDataHora(agendamento)} foi cancelad${tipo.a}.`
+    }),
+    STATUS_ALTERADO: (tipo, agendamento) => ({
+        titulo: `Status d${tipo.a} ${tipo.nome.toLowerCase()} atualizado`,
+        corpo: `${descrever(tipo, agendamento)} de ${formatarDataHora(agendamento)}: ${ROTULOS_STATUS[agendamento.status]}.`
+    })
+};
+
+/**
+ * Registra a notificação na caixa de entrada do usuário e a envia por push.
+ * dados: { tipo, id, evento } — também enviado no payload do push (deep link).
+ */
+export const notificarUsuario = async (usuarioId, { titulo, corpo, dados }) => {
+    await prisma.notificacao.create({
+        data: {
+            usuarioId,
+            tipo: dados.tipo,
+            evento: dados.evento,
+            referenciaId: dados.id,
+            titulo,
+            mensagem: corpo
+        }
+    });
+
+    return enviarPush(usuarioId, { titulo, corpo, dados });
+};
+
+// Notificações não devem interromper a requisição que as originou
+const disparar = (promessa) => {
+    promessa.catch((error) => console.error('Erro ao enviar notificação:', error));
+};
+
+/**
+ * Notifica o paciente sobre um evento de agendamento.
+ * evento: 'CRIADO' | 'REMARCADO' | 'CANCELADO' | 'STATUS_ALTERADO'; tipo: 'CONSULTA' | 'EXAME'
+ */
+export const notificarAgendamento = (evento, tipo, agendamento) => {
+    const mensagem = MENSAGENS_AGENDAMENTO[evento](TIPOS[tipo], agendamento);
+
+    disparar(notificarUsuario(agendamento.pacienteId, {
+        ...mensagem,
+        dados: { tipo, id: agendamento.id, evento }
+    }));
+};
+
+// Notifica o paciente de que o resultado de um exame foi liberado (ou retificado)
+export const notificarResultado = (resultado) => {
+    const exame = resultado.exame?.nome ? `do exame ${resultado.exame.nome}` : 'do seu exame';
+    const retificacao = resultado.versao > 1;
+
+    disparar(notificarUsuario(resultado.pacienteId, {
+        titulo: retificacao ? 'Resultado retificado' : 'Resultado disponível',
+        corpo: retificacao
+            ? `O resultado ${exame} foi retificado. Confira a nova versão.`
+            : `O resultado ${exame} já está disponível.`,
+        dados: { tipo: 'RESULTADO', id: resultado.id, evento: retificacao ? 'RETIFICADO' : 'PUBLICADO' }
+    }));
+};
+
+// Avisa o médico revisor de que há um laudo aguardando a sua co-assinatura
+export const notificarRevisaoSolicitada = (resultado) => {
+    const exame = resultado.exame?.nome ? ` do exame ${resultado.exame.nome}` : '';
+
+    disparar(notificarUsuario(resultado.revisorId, {
+        titulo: 'Revisão de laudo solicitada',
+        corpo: `${resultado.medico?.nome ?? 'Um médico'} solicitou a sua revisão do resultado${exame}.`,
+        dados: { tipo: 'RESULTADO', id: resultado.id, evento: 'REVISAO_SOLICITADA' }
+    }));
+};
+
+// Avisa o médico responsável do parecer do revisor
+export const notificarRevisaoConcluida = (resultado, aprovado) => {
+    disparar(notificarUsuario(resultado.medicoId, {
+        titulo: aprovado ? 'Laudo aprovado na revisão' : 'Laudo devolvido pelo revisor',
+        corpo: aprovado
+            ? `${resultado.revisor?.nome ?? 'O revisor'} aprovou o resultado; ele já pode ser publicado.`
+            : `${resultado.revisor?.nome ?? 'O revisor'} devolveu o resultado: ${resultado.comentarioRevisao ?? 'sem comentário'}.`,
+        dados: { tipo: 'RESULTADO', id: resultado.id, evento: aprovado ? 'REVISAO_APROVADA' : 'REVISAO_REPROVADA' }
+    }));
+};
+
+// Lembrete de agendamento (aguardado pelo job, que registra falhas de envio)
+export const enviarLembrete = (tipo, agendamento) => {
+    const descricao = TIPOS[tipo];
+
+    const preparo = agendamento.tipoExame?.requerJejum ? ' Este exame requer jejum; confira as instruções de preparo.' : '';
+
+    return notificarUsuario(agendamento.pacienteId, {
+        titulo: `Lembrete: ${descricao.nome.toLowerCase()} em breve`,
+        corpo: `${descrever(descricao, agendamento)} em ${formatarDataHora(agendamento)}.${preparo}`,
+        dados: { tipo, id: agendamento.id, evento: 'LEMBRETE' }
+    });
+};
@@ -0,0 +1,27 @@
+import prisma from '../config/database.js';
+import { incluirEspecialidades } from './especialidadeService.js';
+
+// Dados profissionais exibidos publicamente na escolha do médico
+export const incluirPerfilMedico = {
+    select: {
+        crm: true,
+        ufCrm: true,
+        bio: true,
+        fotoUrl: true,
+        duracaoConsultaMinutos: true,
+        especialidades: incluirEspecialidades
+    }
+};
+
+/**
+ * Duração de uma consulta com o médico: a do perfil, quando definida,
+ * ou a do slot da agenda em que ela começa.
+ */
+export const duracaoConsulta = async (medicoId, slot, db = prisma) => {
+    const perfil = await db.perfilMedico.findUnique({
+        where: { medicoId },
+        select: { duracaoConsultaMinutos: true }
+    });
+
+    return perfil?.duracaoConsultaMinutos ?? slot.duracaoMinutos;
+};
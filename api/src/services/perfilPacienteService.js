@@ -0,0 +1,118 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../config/database.js';
+
+export const incluirPerfilPaciente = {
+    select: {
+        cpf: true,
+        dataNascimento: true,
+        telefone: true,
+        cep: true,
+        logradouro: true,
+        numero: true,
+        complemento: true,
+        bairro: true,
+        cidade: true,
+        uf: true,
+        contatoEmergenciaNome: true,
+        contatoEmergenciaTelefone: true,
+        contatoEmergenciaParentesco: true,
+        convenioNome: true,
+        convenioCarteirinha: true,
+        convenioValidade: true,
+        alergias: true,
+        atualizadoEm: true
+    }
+};
+
+// Dados básicos do paciente devolvidos junto com o perfil
+export const dadosPaciente = {
+    id: true,
+    nome: true,
+    email: true,
+    ativo: true,
+    criadoEm: true,
+    perfilPaciente: incluirPerfilPaciente
+};
+
+// Dados do perfil a gravar (campos omitidos ficam vazios)
+export const dadosPerfilPaciente = ({ alergias, ...dados }) => {
+    const campos = Object.keys(incluirPerfilPaciente.select)
+        .filter((campo) => campo !== 'alergias' && campo !== 'atualizadoEm');
+
+    return {
+        ...Object.fromEntries(campos.map((campo) => [campo, dados[campo] ?? null])),
+        alergias
+    };
+};
+
+export const cpfEmUso = async (cpf, ignorarPacienteId) => {
+    const perfil = await prisma.perfilPaciente.findFirst({
+        where: { cpf, pacienteId: ignorarPacienteId ? { not: ignorarPacienteId } : undefined },
+        select: { id: true }
+    });
+
+    return perfil !== null;
+};
+
+export const erroCpfEmUso = {
+    code: 'RESOURCE_CONFLICT',
+    message: 'CPF já cadastrado para outro paciente'
+};
+
+/**
+ * Cria ou substitui o perfil do paciente (campos omitidos ficam vazios).
+ * Retorna { perfilPaciente } ou { status, error } se o CPF pertencer a outro paciente.
+ */
+export const salvarPerfilPaciente = async (pacienteId, dados) => {
+    if (await cpfEmUso(dados.cpf, pacienteId)) {
+        return { status: 409, error: erroCpfEmUso };
+    }
+
+    const perfil = dadosPerfilPaciente(dados);
+
+    const perfilPaciente = await prisma.perfilPaciente.upsert({
+        where: { pacienteId },
+        create: { ...perfil, pacienteId },
+        update: perfil,
+        select: incluirPerfilPaciente.select
+    });
+
+    return { perfilPaciente };
+};
+
+// Colunas de Usuario aceitas em orderBy na busca (ver listPacientesSchema)
+const COLUNAS_ORDENACAO = { nome: Prisma.raw('u.nome'), criadoEm: Prisma.raw('u."criadoEm"') };
+
+/**
+ * Busca paginada de pacientes por nome (sem diferenciar acentos), email, CPF ou telefone;
+ * CPF e telefone são comparados apenas pelos dígitos (a partir de 3).
+ * Filtro, ordenação, paginação e contagem são feitos no banco.
+ * Retorna { ids, total }, com os ids da página na ordem pedida.
+ */
+export const buscarPacientes = async (busca, { ativo, orderBy, order, page, limit }) => {
+    const termo = `%${busca.replace(/[\\%_]/g, '\\$&')}%`;
+    const digitos = busca.replace(/\D/g, '');
+    const porDocumento = digitos.length >= 3
+        ? Prisma.sql`OR p.cpf LIKE ${`%${digitos}%`} OR p.telefone LIKE ${`%${digitos}%`}`
+        : Prisma.empty;
+    const porAtivo = ativo === undefined ? Prisma.empty : Prisma.sql`AND u.ativo = ${ativo}`;
+
+    const encontrados = Prisma.sql`
+        FROM "Usuario" u
+        LEFT JOIN "PerfilPaciente" p ON p."pacienteId" = u.id
+        WHERE u.perfil = 'PACIENTE' ${porAtivo}
+          AND (unaccent(u.nome) ILIKE unaccent(${termo}) OR u.email ILIKE ${termo} ${porDocumento})
+    `;
+    const direcao = Prisma.raw(order === 'desc' ? 'DESC' : 'ASC');
+
+    const [pagina, [{ total }]] = await prisma.$transaction([
+        prisma.$queryRaw`
+            SELECT u.id ${encontrados}
+            ORDER BY ${COLUNAS_ORDENACAO[orderBy]} ${direcao}, u.id
+            LIMIT ${limit} OFFSET ${(page - 1) * limit}
+        `,
+        prisma.$queryRaw`SELECT COUNT(*)::int AS total ${encontrados}`
+    ]);
+
+    return { ids: pagina.map((linha) => linha.id), total };
+};
@@ -0,0 +1,105 @@
+import prisma from '../config/database.js';
+
+const EXPO_PUSH_URL = process.env.EXPO_PUSH_URL || 'https://exp.host/--/api/v2/push/send';
+const LOTE_MAXIMO = 100; // limite de mensagens por requisição da API do Expo
+
+/**
+ * Transporte HTTP no formato da API de push do Expo.
+ * A URL é configurável para apontar para um servidor mock local em testes.
+ * Recebe a lista de mensagens e devolve um ticket por mensagem, na mesma ordem.
+ */
+export const criarTransporteExpo = ({ url = EXPO_PUSH_URL, accessToken = process.env.EXPO_ACCESS_TOKEN } = {}) => {
+    return async (mensagens) => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json',
+                ...(accessToken ? { 'Authorization': `Bearer ${accessToken}` } : {})
+            },
+            body: JSON.stringify(mensagens)
+        });
+
+        const corpo = await response.json().catch(() => ({}));
+
+        if (!response.ok || !Array.isArray(corpo.data)) {
+            throw new Error(`Falha no envio de push (${response.status}): ${JSON.stringify(corpo.errors ?? corpo)}`);
+        }
+
+        return corpo.data;
+    };
+};
+
+// Transporte de desenvolvimento: apenas registra as mensagens no console
+export const transporteConsole = async (mensagens) => {
+    mensagens.forEach((mensagem) => console.log('📲 Push:', mensagem.to, '-', mensagem.title));
+    return mensagens.map(() => ({ status: 'ok' }));
+};
+
+const transportePadrao = () => {
+    switch (process.env.PUSH_TRANSPORT) {
+        case 'console':
+            return transporteConsole;
+        case 'desativado':
+            return null;
+        default:
+            return criarTransporteExpo();
+    }
+};
+
+let transporte = transportePadrao();
+
+// Permite substituir o transporte (ex.: servidor mock em testes)
+export const definirTransportePush = (novoTransporte) => {
+    transporte = novoTransporte;
+};
+
+/**
+ * Envia uma notificação para todos os tokens ativos do usuário.
+ * Tokens que o provedor reportar como DeviceNotRegistered são desativados.
+ */
+export const enviarPush = async (usuarioId, { titulo, corpo, dados }) => {
+    if (!transporte) return { enviados: 0 };
+
+    const tokens = await prisma.pushToken.findMany({
+        where: { usuarioId, ativo: true },
+        select: { token: true }
+    });
+
+    if (tokens.length === 0) return { enviados: 0 };
+
+    const mensagens = tokens.map(({ token }) => ({
+        to: token,
+        title: titulo,
+        body: corpo,
+        data: dados,
+        sound: 'default'
+    }));
+
+    const tokensInvalidos = [];
+    let enviados = 0;
+
+    for (let i = 0; i < mensagens.length; i += LOTE_MAXIMO) {
+        const lote = mensagens.slice(i, i + LOTE_MAXIMO);
+        const tickets = await transporte(lote);
+
+        tickets.forEach((ticket, indice) => {
+            if (ticket.status === 'ok') {
+                enviados++;
+            } else if (ticket.details?.error === 'DeviceNotRegistered') {
+                tokensInvalidos.push(lote[indice].to);
+            } else {
+                console.error('Erro no ticket de push:', ticket.message || ticket);
+            }
+        });
+    }
+
+    if (tokensInvalidos.length > 0) {
+        await prisma.pushToken.updateMany({
+            where: { token: { in: tokensInvalidos } },
+            data: { ativo: false }
+        });
+    }
+
+    return { enviados, desativados: tokensInvalidos.length };
+};
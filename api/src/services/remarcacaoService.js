@@ -0,0 +1,175 @@
+import prisma from '../config/database.js';
+import { montarDataHora, parseDia, buscarSlotPublicado } from './agendaService.js';
+import { reservarHorario, erroConflito } from './conflitoService.js';
+import { incluirTipoExame, buscarTipoExameAgendamento, medicoHabilitado } from './tipoExameService.js';
+import { duracaoConsulta } from './perfilMedicoService.js';
+
+const usuarioResumo = {
+    select: {
+        id: true,
+        nome: true,
+        email: true
+    }
+};
+
+const delegate = (db, tipo) => (tipo === 'CONSULTA' ? db.consulta : db.exame);
+
+const erroStatusRemarcacao = {
+    status: 409,
+    error: {
+        code: 'RESOURCE_CONFLICT',
+        message: 'Apenas agendamentos com status AGENDADA podem ser remarcados'
+    }
+};
+
+/**
+ * Move uma consulta/exame para outro dia, hora e (opcionalmente) médico.
+ * Revalida a agenda publicada e os conflitos, recalcula dataHora e grava
+ * o histórico na mesma transação.
+ * Retorna { registro } ou { status, error } no formato de erro da API.
+ */
+export const remarcarAgendamento = async ({ tipo, agendamento, dia, hora, medicoId, motivo, usuarioId }) => {
+    if (agendamento.status !== 'AGENDADA') {
+        return erroStatusRemarcacao;
+    }
+
+    const novoMedicoId = medicoId || agendamento.medicoId;
+
+    if (novoMedicoId !== agendamento.medicoId) {
+        const medico = await prisma.usuario.findUnique({
+            where: { id: novoMedicoId }
+        });
+
+        if (!medico || medico.perfil !== 'MEDICO' || !medico.ativo) {
+            return {
+                status: 400,
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'Médico inválido'
+                }
+            };
+        }
+
+        // Exame do catálogo: o novo médico também precisa estar habilitado para o tipo
+        if (agendamento.tipoExameId && !(await medicoHabilitado(await buscarTipoExameAgendamento(agendamento.tipoExameId), novoMedicoId))) {
+            return {
+                status: 400,
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'O médico não realiza este tipo de exame'
+                }
+            };
+        }
+    }
+
+    const dataHora = montarDataHora(dia, hora);
+
+    if (!dataHora) {
+        return {
+            status: 400,
+            error: {
+                code: 'VALIDATION_ERROR',
+                message: 'Dia ou hora inválidos (use YYYY-MM-DD e HH:mm)'
+            }
+        };
+    }
+
+    if (dataHora.getTime() === agendamento.dataHora.getTime() && novoMedicoId === agendamento.medicoId) {
+        return {
+            status: 400,
+            error: {
+                code: 'VALIDATION_ERROR',
+                message: 'Informe um novo horário ou médico'
+            }
+        };
+    }
+
+    const slot = await buscarSlotPublicado(novoMedicoId, dataHora);
+
+    if (!slot) {
+        return {
+            status: 409,
+            error: {
+                code: 'SLOT_UNAVAILABLE',
+                message: 'Horário fora da disponibilidade do médico'
+            }
+        };
+    }
+
+    // Exames do catálogo mantêm a duração do tipo; consultas seguem o perfil do (novo) médico
+    let duracaoMinutos = slot.duracaoMinutos;
+    if (agendamento.tipoExameId) {
+        duracaoMinutos = agendamento.duracaoMinutos;
+    } else if (tipo === 'CONSULTA') {
+        duracaoMinutos = await duracaoConsulta(novoMedicoId, slot);
+    }
+
+    const { conflito, registro } = await reservarHorario({
+        medicoId: novoMedicoId,
+        pacienteId: agendamento.pacienteId,
+        dataHora,
+        duracaoMinutos,
+        ignorar: { tipo, id: agendamento.id }
+    }, async (tx) => {
+        // O status é conferido de novo na transação: um cancelamento concorrente impede a remarcação
+        const { count } = await delegate(tx, tipo).updateMany({
+            where: { id: agendamento.id, status: 'AGENDADA' },
+            data: {
+                dia: parseDia(dia),
+                hora,
+                dataHora,
+                duracaoMinutos,
+                medicoId: novoMedicoId
+            }
+        });
+
+        if (count === 0) return null;
+
+        const atualizado = await delegate(tx, tipo).findUnique({
+            where: { id: agendamento.id },
+            include: {
+                paciente: usuarioResumo,
+                medico: usuarioResumo,
+                ...(tipo === 'EXAME' && { tipoExame: incluirTipoExame })
+            }
+        });
+
+        await tx.historicoRemarcacao.create({
+            data: {
+                ...(tipo === 'CONSULTA' ? { consultaId: agendamento.id } : { exameId: agendamento.id }),
+                dataHoraAnterior: agendamento.dataHora,
+                dataHoraNova: dataHora,
+                medicoAnteriorId: agendamento.medicoId,
+                medicoNovoId: novoMedicoId,
+                motivo,
+                alteradoPorId: usuarioId
+            }
+        });
+
+        return atualizado;
+    });
+
+    if (conflito) {
+        return { status: 409, error: erroConflito(conflito) };
+    }
+
+    if (!registro) {
+        return erroStatusRemarcacao;
+    }
+
+    return { registro };
+};
+
+export const listarHistorico = (tipo, id) => {
+    return prisma.historicoRemarcacao.findMany({
+        where: tipo === 'CONSULTA' ? { consultaId: id } : { exameId: id },
+        include: {
+            medicoAnterior: { select: { id: true, nome: true } },
+            medicoNovo: { select: { id: true, nome: true } },
+            alteradoPor: { select: { id: true, nome: true, perfil: true } }
+        },
+        orderBy: {
+            criadoEm: 'desc'
+        }
+    });
+};
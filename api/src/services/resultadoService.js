@@ -0,0 +1,270 @@
+import prisma from '../config/database.js';
+import { incluirValores } from './analitoService.js';
+
+const STATUS_LIBERADOS = ['PUBLICADO', 'RETIFICADO'];
+
+// Dados incluídos nos resultados devolvidos pelo fluxo de publicação
+export const incluirResultado = {
+    exame: {
+        select: {
+            id: true,
+            nome: true
+        }
+    },
+    paciente: {
+        select: {
+            id: true,
+            nome: true,
+            email: true
+        }
+    },
+    medico: {
+        select: {
+            id: true,
+            nome: true
+        }
+    },
+    revisor: {
+        select: {
+            id: true,
+            nome: true
+        }
+    },
+    valores: incluirValores
+};
+
+// Filtro Prisma dos resultados que o paciente pode ver (liberação já ocorrida)
+export const filtroLiberado = (agora = new Date()) => ({
+    status: { in: STATUS_LIBERADOS },
+    publicadoEm: { lte: agora }
+});
+
+export const estaLiberado = (resultado, agora = new Date()) => {
+    return STATUS_LIBERADOS.includes(resultado.status) &&
+        resultado.publicadoEm !== null &&
+        resultado.publicadoEm <= agora;
+};
+
+const falha = (status, code, message, details) => ({
+    status,
+    error: details ? { code, message, details } : { code, message }
+});
+
+const erroTransicao = (resultado, message) => {
+    return falha(409, 'INVALID_STATUS_TRANSITION', message, { statusAtual: resultado.status });
+};
+
+const erroAlteradoConcorrente = () => falha(
+    409,
+    'RESOURCE_CONFLICT',
+    'O resultado foi alterado por outra requisição; recarregue e tente novamente'
+);
+
+/**
+ * Grava somente se status e aprovação do revisor ainda forem os validados: duas requisições
+ * simultâneas (ex.: publicar duas vezes) não passam ambas. Retorna o registro ou null.
+ */
+const atualizarSeInalterado = async (db, resultado, data) => {
+    const { count } = await db.resultadoExame.updateMany({
+        where: { id: resultado.id, status: resultado.status, revisadoEm: resultado.revisadoEm },
+        data
+    });
+
+    if (count === 0) return null;
+
+    return db.resultadoExame.findUnique({ where: { id: resultado.id }, include: incluirResultado });
+};
+
+/**
+ * Trava o resultado até o fim da transação tx, se ele ainda estiver com o status informado
+ * (edições e anexos de rascunho): uma publicação concorrente espera a transação terminar.
+ * Retorna false se o status já mudou.
+ */
+export const travarComStatus = async (tx, resultadoId, status) => {
+    const { count } = await tx.resultadoExame.updateMany({
+        where: { id: resultadoId, status },
+        data: { atualizadoEm: new Date() }
+    });
+
+    return count > 0;
+};
+
+/**
+ * Envia o rascunho para co-assinatura de outro médico.
+ * Retorna { registro } ou { status, error }.
+ */
+export const enviarParaRevisao = async (resultado, revisorId) => {
+    if (resultado.status !== 'RASCUNHO') {
+        return erroTransicao(resultado, 'Apenas rascunhos podem ser enviados para revisão');
+    }
+
+    if (revisorId === resultado.medicoId) {
+        return falha(400, 'VALIDATION_ERROR', 'O revisor deve ser outro médico');
+    }
+
+    const revisor = await prisma.usuario.findUnique({
+        where: { id: revisorId }
+    });
+
+    if (!revisor || revisor.perfil !== 'MEDICO' || !revisor.ativo) {
+        return falha(400, 'VALIDATION_ERROR', 'Revisor inválido');
+    }
+
+    const registro = await prisma.$transaction((tx) => atualizarSeInalterado(tx, resultado, {
+        status: 'AGUARDANDO_REVISAO',
+        revisorId,
+        revisadoEm: null,
+        comentarioRevisao: null
+    }));
+
+    return registro ? { registro } : erroAlteradoConcorrente();
+};
+
+/**
+ * Registra o parecer do revisor. Aprovado: o resultado fica co-assinado e
+ * pronto para publicação. Reprovado: volta a RASCUNHO com o comentário.
+ */
+export const registrarRevisao = async (resultado, { aprovado, comentario }) => {
+    if (resultado.status !== 'AGUARDANDO_REVISAO' || resultado.revisadoEm) {
+        return erroTransicao(resultado, 'O resultado não está aguardando revisão');
+    }
+
+    const registro = await prisma.$transaction((tx) => atualizarSeInalterado(tx, resultado, aprovado
+        ? { revisadoEm: new Date(), comentarioRevisao: comentario ?? null }
+        : { status: 'RASCUNHO', comentarioRevisao: comentario ?? null }));
+
+    return registro ? { registro } : erroAlteradoConcorrente();
+};
+
+/**
+ * Libera o resultado ao paciente em publicarEm (padrão: agora).
+ * Retorna o registro com notificadoEm preenchido quando a liberação é imediata.
+ * Uma retificação é sempre liberada imediatamente e marca a versão anterior como RETIFICADO.
+ */
+export const liberarResultado = async (resultado, { publicarEm }) => {
+    const aguardandoRevisao = resultado.status === 'AGUARDANDO_REVISAO';
+
+    if (resultado.status !== 'RASCUNHO' && !aguardandoRevisao) {
+        return erroTransicao(resultado, 'O resultado já foi publicado');
+    }
+
+    if (aguardandoRevisao && !resultado.revisadoEm) {
+        return erroTransicao(resultado, 'O resultado aguarda a aprovação do revisor');
+    }
+
+    if (resultado.retificaId && publicarEm) {
+        return falha(400, 'VALIDATION_ERROR', 'Retificações são publicadas imediatamente');
+    }
+
+    const agora = new Date();
+    const publicadoEm = publicarEm && publicarEm > agora ? publicarEm : agora;
+
+    const registro = await prisma.$transaction(async (tx) => {
+        const publicado = await atualizarSeInalterado(tx, resultado, {
+            status: 'PUBLICADO',
+            publicadoEm,
+            // Liberação imediata: o controller avisa o paciente; agendada: o job avisa na data
+            notificadoEm: publicadoEm === agora ? agora : null
+        });
+
+        if (publicado && resultado.retificaId) {
+            await tx.resultadoExame.update({
+                where: { id: resultado.retificaId },
+                data: { status: 'RETIFICADO' }
+            });
+        }
+
+        return publicado;
+    });
+
+    return registro ? { registro } : erroAlteradoConcorrente();
+};
+
+/**
+ * Cria a retificação de um resultado publicado como um novo rascunho (versão + 1).
+ * A versão publicada continua visível até a retificação ser publicada.
+ * Sem novos valores (já montados por montarValores), os analitos da versão anterior são copiados.
+ */
+export const criarRetificacao = async (resultado, { detalhes, arquivoUrl, motivo, valores }) => {
+    const erroPendente = (pendente) => falha(409, 'RESOURCE_CONFLICT', 'Já existe uma retificação deste resultado', {
+        retificacao: pendente
+    });
+
+    try {
+        return await prisma.$transaction(async (tx) => {
+            // Status relido na transação: o resultado pode ter sido retificado desde a leitura do controller
+            const atual = await tx.resultadoExame.findUnique({ where: { id: resultado.id } });
+
+            if (atual.status !== 'PUBLICADO') {
+                return erroTransicao(atual, 'Apenas resultados publicados podem ser retificados');
+            }
+
+            const pendente = await tx.resultadoExame.findUnique({
+                where: { retificaId: resultado.id },
+                select: { id: true, status: true }
+            });
+
+            if (pendente) return erroPendente(pendente);
+
+            const valoresRetificacao = valores ?? (await tx.valorAnalito.findMany({
+                where: { resultadoId: resultado.id }
+            })).map(({ id, resultadoId, ...valor }) => valor);
+
+            const registro = await tx.resultadoExame.create({
+                data: {
+                    exameId: atual.exameId,
+                    pacienteId: atual.pacienteId,
+                    medicoId: atual.medicoId,
+                    detalhes: detalhes ?? atual.detalhes,
+                    arquivoUrl: arquivoUrl ?? atual.arquivoUrl,
+                    versao: atual.versao + 1,
+                    retificaId: atual.id,
+                    motivoRetificacao: motivo,
+                    valores: { create: valoresRetificacao }
+                },
+                include: incluirResultado
+            });
+
+            return { registro };
+        });
+    } catch (error) {
+        // P2002 em retificaId: outra retificação simultânea foi criada primeiro
+        if (error.code !== 'P2002') throw error;
+
+        const pendente = await prisma.resultadoExame.findUnique({
+            where: { retificaId: resultado.id },
+            select: { id: true, status: true }
+        });
+
+        return erroPendente(pendente);
+    }
+};
+
+// Todas as versões (original e retificações) da cadeia do resultado, da mais antiga à mais recente
+export const listarVersoes = async (resultado) => {
+    const campos = {
+        id: true,
+        versao: true,
+        status: true,
+        detalhes: true,
+        motivoRetificacao: true,
+        publicadoEm: true,
+        retificaId: true,
+        criadoEm: true,
+        valores: incluirValores
+    };
+
+    let primeira = resultado;
+    while (primeira.retificaId) {
+        primeira = await prisma.resultadoExame.findUnique({ where: { id: primeira.retificaId } });
+    }
+
+    const versoes = [];
+    let atual = await prisma.resultadoExame.findUnique({ where: { id: primeira.id }, select: campos });
+    while (atual) {
+        versoes.push(atual);
+        atual = await prisma.resultadoExame.findUnique({ where: { retificaId: atual.id }, select: campos });
+    }
+
+    return versoes;
+};
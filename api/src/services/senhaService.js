@@ -0,0 +1,69 @@
+import prisma from '../config/database.js';
+import { enviarEmail } from './mailService.js';
+import { gerarTokenSeguro, hashToken } from '../utils/tokens.js';
+
+/**
+ * Cria um token de uso único para definir a senha (consumido em POST /auth/redefinir-senha).
+ * Um novo token invalida os anteriores ainda não usados.
+ */
+const criarTokenSenha = async (usuarioId, minutosValidade) => {
+    const token = gerarTokenSeguro();
+
+    await prisma.$transaction([
+        prisma.tokenRecuperacaoSenha.updateMany({
+            where: { usuarioId, usadoEm: null },
+            data: { usadoEm: new Date() }
+        }),
+        prisma.tokenRecuperacaoSenha.create({
+            data: {
+                usuarioId,
+                tokenHash: hashToken(token),
+                expiraEm: new Date(Date.now() + minutosValidade * 60000)
+            }
+        })
+    ]);
+
+    return token;
+};
+
+// Link de redefinição de senha ("esqueci minha senha")
+export const enviarLinkRecuperacao = async (usuario) => {
+    const minutosValidade = Number(process.env.SENHA_RESET_EXPIRES_MIN || 30);
+    const token = await criarTokenSenha(usuario.id, minutosValidade);
+    const link = `${process.env.SENHA_RESET_URL || 'clinica://recuperar-senha'}?token=${token}`;
+
+    enviarEmail({
+        para: usuario.email,
+        assunto: 'Redefinição de senha',
+        texto: [
+            `Olá, ${usuario.nome}.`,
+            '',
+            'Recebemos um pedido para redefinir a sua senha. Use o link abaixo:',
+            link,
+            '',
+            `O link expira em ${minutosValidade} minutos e só pode ser usado uma vez.`,
+            'Se você não fez este pedido, ignore este e-mail.'
+        ].join('\n')
+    }).catch((error) => console.error('Erro ao enviar e-mail de recuperação:', error));
+};
+
+// Link para o paciente cadastrado na recepção criar a senha e acessar o app
+export const enviarLinkAtivacao = async (usuario) => {
+    const horasValidade = Number(process.env.ATIVACAO_EXPIRES_HORAS || 72);
+    const token = await criarTokenSenha(usuario.id, horasValidade * 60);
+    const link = `${process.env.ATIVACAO_URL || 'clinica://ativar-conta'}?token=${token}`;
+
+    enviarEmail({
+        para: usuario.email,
+        assunto: 'Ative sua conta na clínica',
+        texto: [
+            `Olá, ${usuario.nome}.`,
+            '',
+            'Seu cadastro foi feito na recepção da clínica. Para acompanhar consultas, exames e resultados',
+            'pelo aplicativo, crie a sua senha pelo link abaixo:',
+            link,
+            '',
+            `O link expira em ${horasValidade} horas e só pode ser usado uma vez.`
+        ].join('\n')
+    }).catch((error) => console.error('Erro ao enviar e-mail de ativação:', error));
+};
@@ -0,0 +1,158 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import prisma from '../config/database.js';
+import { hashToken } from '../utils/tokens.js';
+
+const REFRESH_SECRET = () => process.env.REFRESH_JWT_SECRET || process.env.JWT_SECRET;
+
+// sid identifica a sessão (família do refresh token) que emitiu o access token
+export const gerarAccessToken = (usuario, familia) => {
+    return jwt.sign(
+        { id: usuario.id, perfil: usuario.perfil, sid: familia },
+        process.env.JWT_SECRET,
+        { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+    );
+};
+
+/**
+ * Emite um refresh token (JWT) e persiste o seu hash.
+ * Tokens de um mesmo login (dispositivo) compartilham a mesma "familia",
+ * que é revogada por inteiro em caso de reutilização ou logout.
+ */
+const emitirRefreshToken = async (usuario, { familia, dispositivo, ip, userAgent }, db = prisma) => {
+    const id = crypto.randomUUID();
+    const refreshToken = jwt.sign(
+        { id: usuario.id, jti: id, fam: familia },
+        REFRESH_SECRET(),
+        { expiresIn: process.env.REFRESH_JWT_EXPIRES_IN || '7d' }
+    );
+    const { exp } = jwt.decode(refreshToken);
+
+    await db.refreshToken.create({
+        data: {
+            id,
+            usuarioId: usuario.id,
+            tokenHash: hashToken(refreshToken),
+            familia,
+            dispositivo,
+            ip,
+            userAgent,
+            expiraEm: new Date(exp * 1000)
+        }
+    });
+
+    return refreshToken;
+};
+
+// Inicia uma nova sessão (login) e retorna o par de tokens
+export const iniciarSessao = async (usuario, contexto) => {
+    const familia = crypto.randomUUID();
+    const refreshToken = await emitirRefreshToken(usuario, { ...contexto, familia });
+
+    return { accessToken: gerarAccessToken(usuario, familia), refreshToken };
+};
+
+export const revogarFamilia = (familia) => {
+    return prisma.refreshToken.updateMany({
+        where: { familia, revogadoEm: null },
+        data: { revogadoEm: new Date() }
+    });
+};
+
+export const revogarSessoesDoUsuario = (usuarioId, db = prisma) => {
+    return db.refreshToken.updateMany({
+        where: { usuarioId, revogadoEm: null },
+        data: { revogadoEm: new Date() }
+    });
+};
+
+// Mantém apenas a sessão atual (sem sid, como em tokens antigos, revoga todas)
+export const revogarOutrasSessoes = (usuarioId, familiaAtual, db = prisma) => {
+    return db.refreshToken.updateMany({
+        where: {
+            usuarioId,
+            revogadoEm: null,
+            familia: familiaAtual ? { not: familiaAtual } : undefined
+        },
+        data: { revogadoEm: new Date() }
+    });
+};
+
+const falha = (code, message) => ({ error: { code, message } });
+
+/**
+ * Troca um refresh token válido por um novo par de tokens (rotação).
+ * Um token já rotacionado/revogado apresentado novamente indica vazamento:
+ * toda a família é revogada e o usuário precisa fazer login de novo.
+ * Retorna { accessToken, refreshToken } ou { error }.
+ */
+export const rotacionarRefreshToken = async (refreshToken, { ip, userAgent }) => {
+    try {
+        jwt.verify(refreshToken, REFRESH_SECRET());
+    } catch {
+        return falha('AUTH_INVALID_TOKEN', 'Refresh token inválido ou expirado');
+    }
+
+    const registro = await prisma.refreshToken.findUnique({
+        where: { tokenHash: hashToken(refreshToken) },
+        include: { usuario: true }
+    });
+
+    if (!registro || registro.expiraEm < new Date()) {
+        return falha('AUTH_INVALID_TOKEN', 'Refresh token inválido ou expirado');
+    }
+
+    if (registro.revogadoEm) {
+        await revogarFamilia(registro.familia);
+        return falha('AUTH_TOKEN_REUSED', 'Refresh token reutilizado; a sessão foi encerrada');
+    }
+
+    if (!registro.usuario.ativo) {
+        return falha('AUTH_FORBIDDEN', 'Usuário não encontrado ou inativo');
+    }
+
+    const novoRefreshToken = await prisma.$transaction(async (tx) => {
+        // Condicionado a não revogado: duas renovações simultâneas não geram dois tokens
+        const { count } = await tx.refreshToken.updateMany({
+            where: { id: registro.id, revogadoEm: null },
+            data: { revogadoEm: new Date() }
+        });
+
+        if (count === 0) return null;
+
+        const token = await emitirRefreshToken(registro.usuario, {
+            familia: registro.familia,
+            dispositivo: registro.dispositivo,
+            ip,
+            userAgent
+        }, tx);
+
+        await tx.refreshToken.update({
+            where: { id: registro.id },
+            data: { substituidoPorId: jwt.decode(token).jti }
+        });
+
+        return token;
+    });
+
+    if (!novoRefreshToken) {
+        await revogarFamilia(registro.familia);
+        return falha('AUTH_TOKEN_REUSED', 'Refresh token reutilizado; a sessão foi encerrada');
+    }
+
+    return {
+        accessToken: gerarAccessToken(registro.usuario, registro.familia),
+        refreshToken: novoRefreshToken
+    };
+};
+
+// Revoga a sessão (família) à qual o refresh token pertence
+export const encerrarSessao = async (refreshToken) => {
+    const registro = await prisma.refreshToken.findUnique({
+        where: { tokenHash: hashToken(refreshToken) }
+    });
+
+    if (registro) {
+        await revogarFamilia(registro.familia);
+    }
+};
@@ -0,0 +1,88 @@
+import prisma from '../config/database.js';
+import { CANCELAMENTO_ANTECEDENCIA_HORAS, CANCELAMENTO_PERFIS_SEM_PRAZO } from '../config/agendamento.js';
+
+/**
+ * Transições permitidas de StatusAgendamento.
+ * - perfis: quem pode aplicar a transição
+ * - respeitaAntecedencia: sujeita ao prazo mínimo de cancelamento, exceto para
+ *   os perfis de CANCELAMENTO_PERFIS_SEM_PRAZO
+ * - aposHorario: só é permitida depois de dataHora
+ * Estados sem entradas são finais.
+ */
+const TRANSICOES = {
+    AGENDADA: {
+        REALIZADA: {
+            perfis: ['MEDICO', 'ADMIN']
+        },
+        CANCELADA: {
+            perfis: ['PACIENTE', 'ATENDENTE', 'MEDICO', 'ADMIN'],
+            respeitaAntecedencia: true
+        },
+        NAO_COMPARECEU: {
+            perfis: ['MEDICO', 'ATENDENTE', 'ADMIN'],
+            aposHorario: true
+        }
+    },
+    REALIZADA: {},
+    CANCELADA: {},
+    NAO_COMPARECEU: {}
+};
+
+// Retorna null se a transição é permitida, ou a mensagem explicando a recusa
+export const validarTransicao = ({ agendamento, novoStatus, perfil, agora = new Date() }) => {
+    const regra = TRANSICOES[agendamento.status]?.[novoStatus];
+
+    if (!regra) {
+        return `Não é possível alterar o status de ${agendamento.status} para ${novoStatus}`;
+    }
+
+    if (!regra.perfis.includes(perfil)) {
+        return `O perfil ${perfil} não pode alterar o status para ${novoStatus}`;
+    }
+
+    if (regra.aposHorario && agora < agendamento.dataHora) {
+        return `O status ${novoStatus} só pode ser aplicado após o horário agendado`;
+    }
+
+    if (regra.respeitaAntecedencia && !CANCELAMENTO_PERFIS_SEM_PRAZO.includes(perfil)) {
+        const limite = agendamento.dataHora.getTime() - CANCELAMENTO_ANTECEDENCIA_HORAS * 3600000;
+        if (agora.getTime() > limite) {
+            return `O cancelamento deve ser feito com pelo menos ${CANCELAMENTO_ANTECEDENCIA_HORAS} horas de antecedência`;
+        }
+    }
+
+    return null;
+};
+
+// Corpo de erro padrão para uma transição recusada
+export const erroTransicao = (agendamento, novoStatus, motivo) => ({
+    code: 'INVALID_STATUS_TRANSITION',
+    message: motivo,
+    details: {
+        statusAtual: agendamento.status,
+        statusSolicitado: novoStatus
+    }
+});
+
+/**
+ * Grava a alteração de um agendamento ('consulta' ou 'exame') somente se o status ainda for o
+ * validado: requisições concorrentes (ex.: concluir e cancelar) não sobrescrevem uma à outra.
+ * consulta: args extras do findUnique (ex.: include). Retorna o registro atualizado ou null se o status mudou.
+ */
+export const atualizarSeStatusMantido = (modelo, agendamento, data, consulta = {}) => {
+    return prisma.$transaction(async (tx) => {
+        const { count } = await tx[modelo].updateMany({
+            where: { id: agendamento.id, status: agendamento.status },
+            data
+        });
+
+        if (count === 0) return null;
+
+        return tx[modelo].findUnique({ where: { id: agendamento.id }, ...consulta });
+    });
+};
+
+export const erroStatusAlterado = {
+    code: 'RESOURCE_CONFLICT',
+    message: 'O agendamento foi alterado por outra requisição; recarregue e tente novamente'
+};
@@ -0,0 +1,50 @@
+import prisma from '../config/database.js';
+
+// Dados do tipo devolvidos com cada exame (o paciente vê as instruções de preparo)
+export const incluirTipoExame = {
+    select: {
+        id: true,
+        codigo: true,
+        nome: true,
+        instrucoesPreparo: true,
+        requerJejum: true,
+        duracaoPadraoMinutos: true
+    }
+};
+
+export const buscarTipoExameAgendamento = (id) => {
+    return prisma.tipoExame.findUnique({
+        where: { id },
+        include: {
+            medicos: {
+                select: { id: true }
+            },
+            especialidades: {
+                select: { id: true }
+            }
+        }
+    });
+};
+
+/**
+ * O médico pode realizar o exame se estiver vinculado ao tipo ou tiver uma das
+ * especialidades vinculadas. Sem médicos nem especialidades, qualquer médico pode.
+ */
+export const medicoHabilitado = async (tipoExame, medicoId) => {
+    const { medicos, especialidades } = tipoExame;
+
+    if (medicos.length === 0 && especialidades.length === 0) return true;
+    if (medicos.some((medico) => medico.id === medicoId)) return true;
+    if (especialidades.length === 0) return false;
+
+    const perfis = await prisma.perfilMedico.count({
+        where: {
+            medicoId,
+            especialidades: {
+                some: { id: { in: especialidades.map((especialidade) => especialidade.id) } }
+            }
+        }
+    });
+
+    return perfis > 0;
+};
@@ -0,0 +1,48 @@
+import { abrirArquivo } from '../services/armazenamentoService.js';
+
+// Assinaturas (magic bytes) dos tipos de arquivo aceitos como anexo de resultado
+const ASSINATURAS = [
+    { mimeType: 'application/pdf', extensao: '.pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+    { mimeType: 'image/png', extensao: '.png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    { mimeType: 'image/jpeg', extensao: '.jpg', bytes: [0xff, 0xd8, 0xff] }
+];
+
+export const TIPOS_ARQUIVO_PERMITIDOS = ASSINATURAS.map(({ mimeType }) => mimeType);
+
+// Identifica o tipo real do arquivo pelo conteúdo (null se não for um tipo aceito)
+export const detectarTipoArquivo = (conteudo) => {
+    const assinatura = ASSINATURAS.find(({ bytes }) => {
+        return conteudo.length >= bytes.length && bytes.every((byte, i) => conteudo[i] === byte);
+    });
+
+    return assinatura ? { mimeType: assinatura.mimeType, extensao: assinatura.extensao } : null;
+};
+
+/**
+ * Transmite um anexo (ArquivoResultado) como download.
+ * Retorna false, sem responder, se o conteúdo não estiver no armazenamento.
+ */
+export const transmitirArquivo = async (res, arquivo) => {
+    let conteudo;
+    try {
+        conteudo = await abrirArquivo(arquivo.chave);
+    } catch {
+        return false;
+    }
+
+    res.attachment(arquivo.nomeOriginal);
+    res.set({
+        'Content-Type': arquivo.mimeType,
+        'Content-Length': arquivo.tamanho,
+        'Cache-Control': 'private, no-store',
+        'X-Content-Type-Options': 'nosniff'
+    });
+
+    conteudo.on('error', (error) => {
+        console.error('Erro ao transmitir arquivo:', error);
+        res.destroy(error);
+    });
+    conteudo.pipe(res);
+
+    return true;
+};
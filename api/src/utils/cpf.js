@@ -0,0 +1,27 @@
+// Onze dígitos, com ou sem a pontuação usual (123.456.789-09); outros caracteres tornam o CPF inválido
+const FORMATO_CPF = /^\d{3}\.?\d{3}\.?\d{3}-?\d{2}$/;
+
+// Remove pontuação (ex.: "123.456.789-09" -> "12345678909")
+export const normalizarCpf = (cpf) => cpf.replace(/\D/g, '');
+
+// Dígito verificador: resto de (soma ponderada * 10) por 11, com 10 valendo 0
+const digitoVerificador = (digitos) => {
+    const peso = digitos.length + 1;
+    const soma = digitos.reduce((total, digito, i) => total + digito * (peso - i), 0);
+    return ((soma * 10) % 11) % 10;
+};
+
+// Valida os dois dígitos verificadores; sequências repetidas (ex.: 111.111.111-11) são inválidas
+export const cpfValido = (cpf) => {
+    if (!FORMATO_CPF.test(cpf)) return false;
+
+    const numeros = normalizarCpf(cpf);
+
+    if (/^(\d)\1{10}$/.test(numeros)) return false;
+
+    const digitos = [...numeros].map(Number);
+    const primeiro = digitoVerificador(digitos.slice(0, 9));
+    const segundo = digitoVerificador(digitos.slice(0, 10));
+
+    return primeiro === digitos[9] && segundo === digitos[10];
+};
@@ -0,0 +1,42 @@
+import { parseDia } from '../services/agendaService.js';
+
+// Converte page/limit nos parâmetros skip/take do Prisma
+export const paginar = ({ page, limit }) => ({
+    skip: (page - 1) * limit,
+    take: limit
+});
+
+export const ordenar = ({ orderBy, order }) => ({ [orderBy]: order });
+
+// Filtro de data para de/ate (YYYY-MM-DD, ambos inclusivos); undefined se nenhum foi informado
+export const filtroPeriodo = ({ de, ate }) => {
+    if (!de && !ate) return undefined;
+
+    const filtro = {};
+    if (de) filtro.gte = parseDia(de);
+    if (ate) {
+        const fim = parseDia(ate);
+        fim.setDate(fim.getDate() + 1);
+        filtro.lt = fim;
+    }
+    return filtro;
+};
+
+/**
+ * Preenche o cabeçalho Content-Range (ex.: "consultas 20-39/137", exposto no CORS)
+ * e retorna os metadados de paginação incluídos na resposta.
+ */
+export const metaPaginacao = (res, recurso, { page, limit }, total, quantidade) => {
+    const inicio = (page - 1) * limit;
+
+    res.set('Content-Range', quantidade > 0
+        ? `${recurso} ${inicio}-${inicio + quantidade - 1}/${total}`
+        : `${recurso} */${total}`);
+
+    return {
+        page,
+        limit,
+        total,
+        totalPaginas: Math.ceil(total / limit)
+    };
+};
@@ -0,0 +1,6 @@
+import crypto from 'crypto';
+
+// Token aleatório opaco (enviado ao usuário; apenas o hash é persistido)
+export const gerarTokenSeguro = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');